@@ -4,7 +4,14 @@
 
 	Framework modules (dom/net/bind/ui/uix):
 		- Each module file is an expression that evaluates to start(system):
-			(function(){ "use strict"; return function start(system){ ... }; })();
+			(function(){ "use strict"; function start(system){ ... } start.requires = ["dom"]; return start; })();
+		- start.requires names the modules that must start first (loaded automatically).
+		- start.optional names modules that must start first only if the app loads them anyway.
+		- A module without start.requires depends on the rung below it on the ladder.
+		- start(system) may be async: the loader awaits it before starting the next module
+			(options.startTimeout, or options.<module>.startTimeout, caps the wait).
+		- An async App init is awaited too; ezWeb() resolves the pid after it finishes.
+		- ezWeb("app", "bind") loads dom + bind; ezWeb("app", ["bind", "net"]) adds net.
 
 	Asset loader:
 		- CSS: load once
@@ -15,11 +22,17 @@
 		system.log.warn("message")
 		system.log("message", system.log.WARN)
 
-	Levels:
-		0=NONE, 1=INFO, 2=WARN, 3=DEBUG, 4=ERROR(non-fatal), 5=FATAL(fatal)
+	Levels (ordered by severity):
+		10=DEBUG, 20=INFO, 30=WARN, 40=ERROR(non-fatal), 50=FATAL(fatal), 100=NONE (verbosity only)
+		- names work anywhere a level does: verbosity: "WARN", history(0, "ERROR")
+		- old numbers (0=NONE 1=INFO 2=WARN 3=DEBUG 4=ERROR 5=FATAL) are still accepted and mapped:
+		  as a verbosity 0->NONE, 1/2->INFO, 3+->DEBUG (never hides what used to print),
+		  as a level or minLevel 1->INFO, 2->WARN, 3->DEBUG, 4->ERROR, 5->FATAL
 
 	Rules:
-		- Print if level <= system.options.verbosity
+		- Print if level >= verbosity for the entry's scope (verbosity is a minimum severity):
+		  longest prefix in system.options.logLevels / log.setLevel(), else system.options.verbosity
+		- log.enabled(lvl) tells a scoped logger whether lvl would print (guard expensive payloads)
 		- FATAL always prints then throws
 		- Logger keeps an internal history buffer (private)
 		- history() returns a COPY of log entries array (no direct pointer)
@@ -31,11 +44,50 @@
 		- scope is stored on each history entry
 		- printed line also includes [scope]: [time] [logPrefix] [net.fetch] thing 
 
+	Flood control:
+		- identical scope + level + msg within options.logDedupeMs (1000) collapse into one
+		  history entry with repeat: N; transports get a "(repeated N times)" summary after
+		- over options.logRateLimit (200) entries/second in one scope are dropped, with one
+		  WARN under ezWeb.log when it starts and an INFO with the count when it ends
+
+	Redaction (options.logRedact):
+		- before an entry is stored or printed, values under secret-looking keys (password, token,
+		  authorization, ssn, card number, ...) and secret-looking text (bearer tokens, JWTs, card
+		  numbers, ?token= in urls) are replaced by the mask; the entry gets redacted: true
+		- the caller's object is never changed (masked objects are copies)
+
+	Persistent history (options.logPersist):
+		ezWeb("app", "dom", data, { logPersist: { store: "sessionStorage", maxEntries: 500, maxAgeMs: 3600000 } }, init);
+		const before = await system.log.previousSession(); // entries from before the last reload
+		- entries are JSON-safe copies (Errors, cycles, DOM nodes handled) and already redacted
+
+	Spans + timers:
+		await log.span("checkout", async (sl) => { sl.info("paying"); await pay(); });
+		const sl = log.startSpan("upload"); ...; sl.end("ok" | "error", obj?)
+		log.time("parse"); ...; log.timeEnd("parse"); // INFO "parse: 12.3ms"
+		- entries get traceId/spanId/parentSpanId; span/timer ends add duration + outcome
+		- child spans inherit the parent through the logger (.scope() keeps the span) or,
+		  for plain log calls, while the span's fn runs synchronously (run())
+
+	Live feed + export:
+		const off = system.log.subscribe(fn, { minLevel, scopePrefix }); // off() to stop
+		system.log.export("ndjson" | "otel", { sinceTs, minLevel, scopePrefix }) -> string
+
+	Log transports:
+		system.log.addTransport({ name, minLevel, scopePrefix, write(entry), flush() })
+		system.log.addTransport(system.log.transports.beacon({ endpoint: "/logs" }))
+		system.log.addTransport(system.log.transports.indexedDB({ max: 5000 }))
+		- every entry goes to each matching transport; "console" is installed by default
+		- removeTransport(name), transportNames(), flush() (also run on unmount)
+		- a throwing transport is caught; logging never throws into the caller
+
 	Options:
 		- Loader owns root system.options; applies loader defaults first.
 		- App Developer options are merged early into root (verbosity affects loader + modules).
 		- Each module may define start.defaults; merged into system.options[moduleName]
 		- Then App Developer module overrides (options[moduleName]) merged in.
+		- Root options are checked against LOADER_SCHEMA; a module may declare start.schema
+			next to start.defaults. Unknown/deprecated keys warn, wrong types/enums/ranges are fatal.
 		- so options.logPrefix set's the logPrefix. (default: "ezWeb")
 
 	Contract enforcement:
@@ -43,6 +95,69 @@
 			writable:false, configurable:false
 		- system.base is primarily for modules (shared primitives/helpers).
 			It's still accessible for power-users (system.base.*), but not the main dev surface.
+
+	CSP + Trusted Types:
+		- options.cspNonce is put on every script/style/link the framework creates.
+		- options.trustedTypes routes HTML/script sinks through one page-level "ezweb" policy
+			(system.base.trustedHTML / trustedScript / trustedScriptURL / trustedAttr).
+
+	Error boundary:
+		- options.onError(err, { pid, module, phase, scope }) sees every start/init/handler failure.
+		- options.errorPolicy[phase] = "halt" | "continue" | "fallback" (errorFallback markup).
+		- Modules hand runtime errors over with system.base.reportError(err, { module, phase, scope, message });
+		  the boundary logs them (once). Under errorPolicy.start "continue" the modules that require a crashed module are skipped.
+
+	Global error capture:
+		ezWeb("app", "dom", data, { captureGlobalErrors: true }, init);
+		- uncaught errors + unhandled rejections owned by the app are logged as ERROR
+		  under ezWeb.global with a normalized { name, message, stack, source, ... } object
+		- owner: an error claimed with system.base.claimError(err) (dom on() handlers and
+		  net requests do this), else the event target inside appEl, else the only
+		  capturing app (several apps: all of them, attribution: "ambiguous")
+		- the browser still prints the error too
+
+	Message bus:
+		- system.bus.publish(topic, payload) / system.bus.subscribe(topic, fn) -> unsubscribe
+		- Page-level topics shared by every mount; payloads are cloned and delivered async.
+		- options.bus = { publish: [...], subscribe: [...] } allowlists topics per mount.
+		- Traffic is logged under ezWeb.bus; subscriptions end on ezWeb.unmount(pid).
+
+	Auto-boot:
+		- ezWeb.autoBoot() (or importing ezWeb.js?autoboot) mounts every [ezApp] element
+			on DOMContentLoaded, reading ezData/ezOptions from <script type="application/json">.
+		- ezInit names an init from ezWeb.defineInit(name, fn); no global lookups.
+
+	Module versions:
+		- Start functions are cached by absolute url, so two mounts with different
+			modulesPath/frameworkBaseUrl run different module files side by side.
+		- ezWeb.modules(pid) lists the { name, url } each app actually loaded.
+
+	Hot reload (development only):
+		- options.hotReload makes module slots loader-owned accessors and logs a loud WARN.
+		- ezWeb.reload(pid, name) re-imports name, tears the modules down and restarts the
+			chain on the same system bag (system.data is kept, bind recompiles the mount).
+
+	Capabilities:
+		- A registered module may declare start.capabilities (e.g. "net:https://api.x.com",
+			"data:read:user", "assets:load", "dom", "bus", "bind") and then starts against an
+			attenuated view of the system bag. Refused access is logged under ezWeb.capabilities.
+		- options.requireCapabilities refuses registered modules that declare none.
+
+	Boot timeline:
+		- The loader times options, each module load + start(), bind's first compile and init
+			as performance.measure("ezWeb:<pid>:<name>") entries.
+		- system.base.timeline() returns this app's spans; modules time their own work with
+			system.base.measure(name, fn). A one-line summary is logged at DEBUG.
+
+	Third-party modules:
+		- ezWeb.register(name, url, { after: "bind" }) adds a module to the ladder.
+		- Registered modules follow the same contract as framework modules
+			(start.defaults, system.options[name], locked system.<name> slot).
+
+	Lifecycle:
+		- ezWeb(...) mounts an app and returns its pid.
+		- ezWeb.unmount(pid) runs teardown hooks in reverse start order, then releases the element.
+		- Modules register teardown with system.base.onTeardown(modName, fn).
 */
 const ezWeb = (function () {
 	"use strict";
@@ -66,11 +181,17 @@ const ezWeb = (function () {
 		uix:  "ezUIX.js"
 	};
 
+	// system keys a registered module may never claim
+	const RESERVED_SLOTS = ["options", "log", "base", "data", "pid", "appEl", "bus"];
+
+	// keys the base merge helpers never copy (prototype pollution)
+	const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"];
+
 	/********************************************************************
 	 * Loader defaults (root options)
 	 ********************************************************************/
 	const LOADER_DEFAULTS = {
-		verbosity: 1,            // End User safe default: INFO only
+		verbosity: 20,           // End User safe default: INFO and above (INFO, WARN, ERROR)
 		modulesPath: "modules/", // relative to ezWeb.js folder by default
 		cache: "no-cache",
 
@@ -87,16 +208,166 @@ const ezWeb = (function () {
 		appPrefix: "",            // optional, developer-facing (e.g. "myApp")
 		logTimestamps: false,
 
+		// async start(): ms a module's start() promise may take before the mount fails
+		// Override per module with options.<module>.startTimeout. 0 = wait forever.
+		startTimeout: 10000,
+
+		// Error boundary: onError(err, { pid, module, phase, scope }) is called first,
+		// then errorPolicy[phase] decides: "halt" | "continue" | "fallback".
+		// phases: start (module start), init (App init), handler (bind/dom handlers)
+		// fallback renders errorFallback markup into appEl and stops the app's modules.
+		onError: null,
+		errorPolicy: null,      // { start: "halt", init: "halt", handler: "continue" } when unset
+		errorFallback: "",      // "" = a short plain-text message
+
+		// Record uncaught errors + unhandled rejections that belong to this app as ERROR
+		// entries (scope ezWeb.global). Opt-in: it adds page-level listeners.
+		captureGlobalErrors: false,
+
+		// Registered modules without start.capabilities: false = run with full access (WARN),
+		// true = refuse to start them
+		requireCapabilities: false,
+
+		// Development only: allow ezWeb.reload(pid, module). Never ship this on.
+		hotReload: false,
+
+		// CSP: nonce put on every <script>, <style> and <link> the framework creates
+		cspNonce: "",
+
+		// Trusted Types: false | true | { createHTML, createScript, createScriptURL }
+		// true routes every HTML sink through the page-level "ezweb" policy (pass-through);
+		// an object adds your own sanitizers (called with the string, must return a string).
+		trustedTypes: false,
+
+		// Message bus topic allowlists: { publish: ["cart.*"], subscribe: ["user.login"] }
+		// null (or a missing list) allows every topic. "x.*" matches x.anything.
+		bus: null,
+
+		// Subresource integrity: { url: "sha384-..." } (space-separated list allowed)
+		// Relative keys resolve like asset urls (against frameworkBaseUrl).
+		// integrityRequired refuses any asset without a pin.
+		// (null, not {}: mergeDeep would share a default object across mounts)
+		integrity: null,
+		integrityRequired: false,
+
+		// per-scope verbosity, longest prefix wins: { "ezWeb.bind": "DEBUG", "ezWeb.net.ajax": "WARN" }
+		// (null, not {}: mergeDeep would share one object across mounts)
+		logLevels: null,
+
+		// mask secrets before an entry is stored or printed (null = built-in patterns, false = off)
+		// { keys: ["pin", /^x-api-/i], values: [/acct-\d+/g], mask: "[REDACTED]", defaults: true }
+		logRedact: null,
+
+		// keep history across reloads (null = off, true = sessionStorage with the caps below)
+		// { store: "sessionStorage" | "indexedDB", key, maxEntries: 500, maxBytes: 500000, maxAgeMs, minLevel }
+		logPersist: null,
+
 		// PATCH: prevent logger history from growing forever
 		// Set to 0 to disable history entirely (still prints). Default keeps it useful.
-		logMax: 2000
+		logMax: 2000,
+
+		// flood control (per logger): identical scope + level + msg within logDedupeMs collapse into
+		// one entry with a repeat count; more than logRateLimit entries per second in one scope are
+		// dropped (one WARN when it starts). 0 turns either off. FATAL is never held back.
+		logDedupeMs: 1000,
+		logRateLimit: 200
+	};
+
+	/********************************************************************
+	 * Loader options schema (root options)
+	 * -same format modules use for start.schema:
+	 *   { key: { type, enum, min, max, props, additional, deprecated } }
+	 * -module-name keys (options.dom, options.net, ...) are checked by
+	 *  their module's own schema instead
+	 ********************************************************************/
+	const LOADER_SCHEMA = {
+		verbosity: { type: ["number", "string"], min: 0 },
+		modulesPath: { type: "string" },
+		cache: { type: "string", enum: ["default", "no-store", "reload", "no-cache", "force-cache", "only-if-cached"] },
+		appRoot: { type: "string" },
+		appBaseUrl: { type: "string" },
+		frameworkBaseUrl: { type: "string" },
+		appPrefix: { type: "string" },
+		logTimestamps: { type: "boolean" },
+		logLevels: { type: ["null", "object"], props: {}, additional: { type: ["number", "string"], min: 0 } },
+		logPersist: {
+			type: ["null", "boolean", "object"],
+			props: {
+				store: { type: "string", enum: ["sessionStorage", "indexedDB"] },
+				key: { type: "string" },
+				maxEntries: { type: "number", min: 1 },
+				maxBytes: { type: "number", min: 1 },
+				maxAgeMs: { type: "number", min: 0 },
+				minLevel: { type: ["number", "string"], min: 0 }
+			}
+		},
+		logRedact: {
+			type: ["null", "boolean", "object"],
+			props: {
+				keys: { type: "array" },
+				values: { type: "array" },
+				mask: { type: "string" },
+				defaults: { type: "boolean" }
+			}
+		},
+		startTimeout: { type: "number", min: 0 },
+		hotReload: { type: "boolean" },
+		captureGlobalErrors: { type: "boolean" },
+		requireCapabilities: { type: "boolean" },
+		onError: { type: ["null", "function"] },
+		errorPolicy: {
+			type: ["null", "object"],
+			props: {
+				start: { type: "string", enum: ["halt", "continue", "fallback"] },
+				init: { type: "string", enum: ["halt", "continue", "fallback"] },
+				handler: { type: "string", enum: ["halt", "continue", "fallback"] }
+			}
+		},
+		errorFallback: { type: "string" },
+		cspNonce: { type: "string" },
+		trustedTypes: {
+			type: ["boolean", "object"],
+			props: {
+				createHTML: { type: "function" },
+				createScript: { type: "function" },
+				createScriptURL: { type: "function" }
+			}
+		},
+		bus: {
+			type: ["null", "object"],
+			props: {
+				publish: { type: ["null", "array"] },
+				subscribe: { type: ["null", "array"] }
+			}
+		},
+		integrity: { type: ["null", "object"], additional: { type: "string" } },
+		integrityRequired: { type: "boolean" },
+		logMax: { type: "number" },
+		logDedupeMs: { type: "number", min: 0 },
+		logRateLimit: { type: "number", min: 0 }
+	};
+
+	// errorPolicy when the app doesn't set one (today's behaviour)
+	const ERROR_POLICY_DEFAULTS = { start: "halt", init: "halt", handler: "continue" };
+
+	// loader-owned keys every module's options may carry
+	const MODULE_SCHEMA_BASE = {
+		startTimeout: { type: "number", min: 0 }
 	};
 
 	/********************************************************************
 	 * Private loader state
 	 ********************************************************************/
 	const startedMounts = new WeakSet();           // prevent double-start per mount
-	const moduleStartCache = Object.create(null);  // moduleName -> Promise<startFn>	
+	const moduleStartCache = Object.create(null);  // absolute url (+ pin/policy) -> Promise<startFn>	
+	const mounts = Object.create(null);            // pid -> mount record (see ezWeb())
+	const registered = Object.create(null);        // moduleName -> { url, after } (ezWeb.register)
+	const hotSlots = new WeakMap();                // system -> { moduleName -> api } (options.hotReload only)
+	const inits = Object.create(null);             // initName -> fn (ezWeb.defineInit, used by autoBoot)
+	let autoBootSeq = 0;                           // generated ids for id-less [ezApp] elements
+	const autoIds = new WeakSet();                 // elements whose id autoBoot generated
+	const busTopics = Object.create(null);         // topic -> Set<{ pid, fn }> (system.bus, page-level)
+	let ttPolicy;                                  // page-level "ezweb" Trusted Types policy (null = unavailable)
 
 	/********************************************************************
 	 * Locked property helper
@@ -114,6 +385,679 @@ const ezWeb = (function () {
 		});
 	}
 
+	/********************************************************************
+	 * Log levels (ordered by severity, higher = more severe)
+	 * -NONE is only meaningful as a verbosity: nothing but FATAL prints
+	 ********************************************************************/
+	const LEVELS = { DEBUG: 10, INFO: 20, WARN: 30, ERROR: 40, FATAL: 50, NONE: 100 };
+
+	// compatibility: the old numbering was NONE=0 INFO=1 WARN=2 DEBUG=3 ERROR=4 FATAL=5
+	// -as an entry level / minLevel filter: same names
+	const LEGACY_SEVERITY = [LEVELS.DEBUG, LEVELS.INFO, LEVELS.WARN, LEVELS.DEBUG, LEVELS.ERROR, LEVELS.FATAL];
+	// -as a verbosity it meant "print levels <= v": map to the threshold that shows at least as much
+	const LEGACY_VERBOSITY = [LEVELS.NONE, LEVELS.INFO, LEVELS.INFO, LEVELS.DEBUG, LEVELS.DEBUG, LEVELS.DEBUG];
+
+	/********************************************************************
+	 * loader @private _toLevel
+	 * -normalizes a level: a name ("warn"), an old 0-5 number, or a new one
+	 * @param {any} the level
+	 * @param {number[]} the legacy table to map 0-5 through
+	 * @returns {number|null} the level, or null if it isn't one
+	 ********************************************************************/
+	function _toLevel(v, legacy) {
+		if (typeof v === "string") {
+			const key = v.trim().toUpperCase();
+			return Object.prototype.hasOwnProperty.call(LEVELS, key) ? LEVELS[key] : null;
+		}
+		if (typeof v !== "number" || !isFinite(v) || v < 0) return null;
+		if (v <= 5 && Math.floor(v) === v) return legacy[v];
+		return v;
+	}
+
+	/********************************************************************
+	 * loader @private _checkLevelOption
+	 * -fatal on a level name that doesn't exist (numbers go through the schema)
+	 * @param {object} the scoped log
+	 * @param {string} the dotted option path
+	 * @param {any} the value
+	 ********************************************************************/
+	function _checkLevelOption(log, at, v) {
+		if (typeof v === "string" && _toLevel(v, LEGACY_VERBOSITY) === null) {
+			log.fatal("Invalid option '" + at + "': expected a level name (" + Object.keys(LEVELS).join(", ") + ")", { value: v });
+		}
+	}
+
+	// level -> name, for exports
+	const LEVEL_NAMES = Object.keys(LEVELS).reduce((m, k) => { m[LEVELS[k]] = k; return m; }, {});
+
+	// OpenTelemetry SeverityNumber for each level
+	const OTEL_SEVERITY = { 10: 5, 20: 9, 30: 13, 40: 17, 50: 21 };
+
+	/********************************************************************
+	 * loader @private _toOtel
+	 * -history entries -> OTLP/JSON logs document (resourceLogs > scopeLogs > logRecords)
+	 * -one scopeLogs per log scope; Errors map to exception.* attributes
+	 * @param {object[]} the entries
+	 * @param {string} the pid
+	 * @param {string} options.appPrefix (service.name)
+	 * @returns {object} the document
+	 ********************************************************************/
+	function _toOtel(entries, pid, appPrefix) {
+		function attr(key, v) {
+			if (typeof v === "number") return { key: key, value: Number.isInteger(v) ? { intValue: String(v) } : { doubleValue: v } };
+			if (typeof v === "boolean") return { key: key, value: { boolValue: v } };
+			return { key: key, value: { stringValue: String(v) } };
+		}
+
+		const byScope = new Map();
+		entries.forEach((e) => {
+			const attributes = [];
+			if (e.obj instanceof Error) {
+				attributes.push(attr("exception.type", e.obj.name), attr("exception.message", e.obj.message));
+				if (e.obj.stack) attributes.push(attr("exception.stacktrace", e.obj.stack));
+			} else if (e.obj !== undefined) {
+				attributes.push(attr("ezweb.obj", JSON.stringify(_toJsonSafe(e.obj))));
+			}
+			attributes.push(attr("ezweb.seq", e.seq));
+			if (e.redacted) attributes.push(attr("ezweb.redacted", true));
+			if (e.parentSpanId) attributes.push(attr("ezweb.parent_span_id", e.parentSpanId));
+			if (e.duration !== undefined) attributes.push(attr("ezweb.duration_ms", e.duration));
+			if (e.outcome) attributes.push(attr("ezweb.outcome", e.outcome));
+			if (e.repeat) attributes.push(attr("ezweb.repeat", e.repeat));
+
+			const nanos = String(e.ts) + "000000";
+			const rec = {
+				timeUnixNano: nanos,
+				observedTimeUnixNano: nanos,
+				severityNumber: OTEL_SEVERITY[e.lvl] || 0,
+				severityText: LEVEL_NAMES[e.lvl] || String(e.lvl),
+				body: { stringValue: e.msg },
+				attributes: attributes
+			};
+			if (e.traceId) {
+				rec.traceId = e.traceId;
+				rec.spanId = e.spanId;
+			}
+
+			if (!byScope.has(e.scope)) byScope.set(e.scope, []);
+			byScope.get(e.scope).push(rec);
+		});
+
+		const resource = [attr("service.name", appPrefix || "ezWeb")];
+		if (pid) resource.push(attr("ezweb.pid", pid));
+
+		return {
+			resourceLogs: [{
+				resource: { attributes: resource },
+				scopeLogs: Array.from(byScope.entries()).map(([name, records]) => ({
+					scope: { name: name || "ezWeb" },
+					logRecords: records
+				}))
+			}]
+		};
+	}
+
+	/********************************************************************
+	 * Log redaction: built-in patterns
+	 * -keys: object keys whose values are masked whole
+	 * -values: patterns masked inside any string (msg, nested values, urls)
+	 ********************************************************************/
+	const REDACT_KEYS = [/pass(word|wd|phrase)?$/i, /secret/i, /token/i, /authori[sz]ation/i, /api[-_]?key/i, /cookie/i, /session[-_]?id/i, /^ssn$|social[-_]?security/i, /card[-_]?(number|no)|^cc[-_]?num|^pan$/i, /^cvv|^cvc/i];
+
+	const REDACT_VALUES = [
+		{ re: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi },
+		{ re: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g },                                // JWT
+		{ re: /([?&](?:access_token|token|api[-_]?key|password|secret|auth)=)[^&#\s]+/gi, keep: 1 },     // url query
+		{ re: /\b\d{3}-\d{2}-\d{4}\b/g },                                                               // ssn
+		{ re: /\b(?:\d[ -]?){12,18}\d\b/g, test: _luhn }                                                // card numbers
+	];
+
+	/********************************************************************
+	 * loader @private _luhn
+	 * @param {string} a candidate card number (spaces/dashes allowed)
+	 * @returns {boolean} true if it passes the Luhn checksum
+	 ********************************************************************/
+	function _luhn(text) {
+		const digits = String(text).replace(/\D/g, "");
+		let sum = 0;
+		for (let i = 0; i < digits.length; i++) {
+			let d = Number(digits[digits.length - 1 - i]);
+			if (i % 2 === 1) { d *= 2; if (d > 9) d -= 9; }
+			sum += d;
+		}
+		return digits.length >= 13 && sum % 10 === 0;
+	}
+
+	/********************************************************************
+	 * loader @private _makeRedactor
+	 * -builds the masking function for one options.logRedact value
+	 * -always returns a masked copy (the caller's object is never changed,
+	 *  and changing it later can't reach history): Headers, Maps,
+	 *  URLSearchParams, FormData and class instances become plain objects,
+	 *  DOM nodes a short "[input#id]" label
+	 * @param {null|boolean|object} options.logRedact
+	 * @returns {function|null} redact(value) -> { value, hit }, or null when off
+	 ********************************************************************/
+	function _makeRedactor(cfg) {
+		if (cfg === false) return null;
+
+		const c = (cfg && typeof cfg === "object") ? cfg : {};
+		const useDefaults = c.defaults !== false;
+		const mask = (typeof c.mask === "string") ? c.mask : "[REDACTED]";
+
+		const keys = (useDefaults ? REDACT_KEYS : []).concat((Array.isArray(c.keys) ? c.keys : []).map((k) => {
+			return (k instanceof RegExp) ? k : new RegExp(String(k).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+		}));
+		const values = (useDefaults ? REDACT_VALUES : []).concat((Array.isArray(c.values) ? c.values : []).filter(v => v instanceof RegExp).map((re) => {
+			return { re: new RegExp(re.source, re.flags.indexOf("g") === -1 ? re.flags + "g" : re.flags) };
+		}));
+
+		function keyHit(k) {
+			for (let i = 0; i < keys.length; i++) {
+				keys[i].lastIndex = 0;
+				if (keys[i].test(k)) return true;
+			}
+			return false;
+		}
+
+		function text(str, state) {
+			let out = str;
+			for (let i = 0; i < values.length; i++) {
+				const rule = values[i];
+				rule.re.lastIndex = 0;
+				out = out.replace(rule.re, function (m) {
+					if (rule.test && !rule.test(m)) return m;
+					state.hit = true;
+					return rule.keep ? arguments[rule.keep] + mask : mask;
+				});
+			}
+			return out;
+		}
+
+		function is(v, ctor) {
+			return typeof globalThis[ctor] === "function" && v instanceof globalThis[ctor];
+		}
+
+		// known containers -> [key, value] pairs (repeated keys are kept)
+		function pairsOf(v) {
+			if (v instanceof Map || is(v, "Headers") || is(v, "URLSearchParams") || is(v, "FormData")) {
+				const out = [];
+				v.forEach((val, k) => out.push([k, val]));
+				return out;
+			}
+			return null;
+		}
+
+		function label(v) {
+			if (typeof v.nodeType === "number" && typeof v.nodeName === "string") {
+				return "[" + v.nodeName.toLowerCase() + (v.id ? "#" + v.id : "") + "]";
+			}
+			if (is(v, "Blob")) return "[" + (v.name ? "File " + v.name : "Blob") + ", " + v.size + " bytes]";
+			return null;
+		}
+
+		// masked deep copy; state.hit is set when anything was masked
+		// (cycles point at the copy, never back at the original)
+		function copy(v, memo, depth, state) {
+			if (typeof v === "string") return text(v, state);
+			if (!v || typeof v !== "object") return v;
+			if (memo.has(v)) return memo.get(v);
+			if (depth > 8) return "[Truncated]";
+
+			function field(out, k, cur) {
+				if (keyHit(String(k)) && cur != null && cur !== "") {
+					state.hit = true;
+					out[k] = mask;
+					return;
+				}
+				out[k] = copy(cur, memo, depth + 1, state);
+			}
+
+			if (v instanceof Error) {
+				const e = new Error(text(String(v.message), state));
+				Object.setPrototypeOf(e, Object.getPrototypeOf(v)); // instanceof TypeError & co still hold
+				e.name = v.name;
+				e.stack = (typeof v.stack === "string") ? text(v.stack, state) : v.stack;
+				memo.set(v, e);
+				if (v.cause !== undefined) e.cause = copy(v.cause, memo, depth + 1, state);
+				Object.keys(v).forEach((k) => { if (k !== "cause") field(e, k, v[k]); });
+				return e;
+			}
+			if (v instanceof Date) return new Date(v.getTime());
+
+			const named = label(v);
+			if (named !== null) return named;
+
+			const pairs = pairsOf(v);
+			if (pairs) {
+				const out = {};
+				memo.set(v, out);
+				pairs.forEach((p) => {
+					const k = String(p[0]);
+					const before = out[k];
+					field(out, k, p[1]);
+					if (before !== undefined) out[k] = [].concat(before, [out[k]]);
+				});
+				return out;
+			}
+
+			if (v instanceof Set) {
+				const out = [];
+				memo.set(v, out);
+				v.forEach(item => out.push(copy(item, memo, depth + 1, state)));
+				return out;
+			}
+
+			const isArr = Array.isArray(v);
+			const out = isArr ? [] : {};
+			memo.set(v, out);
+			Object.keys(v).forEach((k) => {
+				if (isArr) out[k] = copy(v[k], memo, depth + 1, state);
+				else field(out, k, v[k]);
+			});
+			return out;
+		}
+
+		return function redact(value) {
+			try {
+				const state = { hit: false };
+				const out = copy(value, new Map(), 0, state);
+				return { value: out, hit: state.hit };
+			} catch (_) {
+				return { value: "[Unserializable]", hit: false };
+			}
+		};
+	}
+
+	// optional fields a log entry may carry (log.span / startSpan / timeEnd, dedupe repeat count)
+	const SPAN_FIELDS = ["traceId", "spanId", "parentSpanId", "duration", "outcome", "repeat"];
+
+	/********************************************************************
+	 * loader @private _randomHex
+	 * @param {number} how many random bytes
+	 * @returns {string} lowercase hex (trace ids: 16 bytes, span ids: 8)
+	 ********************************************************************/
+	function _randomHex(bytes) {
+		const buf = new Uint8Array(bytes);
+		if (typeof crypto !== "undefined" && typeof crypto.getRandomValues === "function") crypto.getRandomValues(buf);
+		else for (let i = 0; i < bytes; i++) buf[i] = Math.floor(Math.random() * 256);
+		let out = "";
+		for (let i = 0; i < buf.length; i++) out += (buf[i] < 16 ? "0" : "") + buf[i].toString(16);
+		return out;
+	}
+
+	/********************************************************************
+	 * loader @private _now
+	 * @returns {number} a high resolution ms clock when there is one
+	 ********************************************************************/
+	function _now() {
+		return (typeof performance !== "undefined" && typeof performance.now === "function") ? performance.now() : Date.now();
+	}
+
+	/********************************************************************
+	 * loader @private _toJsonSafe
+	 * -turns any log value into something JSON.stringify can't choke on
+	 * -Errors keep name/message/stack, DOM nodes become a short tag,
+	 *  cycles become "[Circular]", functions "[Function name]"
+	 * @param {any} the value
+	 * @returns {any} a JSON-safe copy
+	 ********************************************************************/
+	function _toJsonSafe(value) {
+		const seen = new WeakSet();
+
+		function walk(v, depth) {
+			if (v === null || typeof v === "string" || typeof v === "number" || typeof v === "boolean") return v;
+			if (typeof v === "undefined") return undefined;
+			if (typeof v === "bigint") return String(v) + "n";
+			if (typeof v === "symbol") return String(v);
+			if (typeof v === "function") return "[Function " + (v.name || "anonymous") + "]";
+
+			if (v instanceof Error) {
+				return { name: v.name, message: v.message, stack: v.stack, cause: (v.cause !== undefined) ? walk(v.cause, depth + 1) : undefined };
+			}
+			if (typeof Node !== "undefined" && v instanceof Node) {
+				if (v.nodeType === 1) return "<" + v.tagName.toLowerCase() + (v.id ? "#" + v.id : "") + ">";
+				return "[" + v.nodeName + "]";
+			}
+			if (v instanceof Date) return v.toISOString();
+
+			if (seen.has(v)) return "[Circular]";
+			if (depth > 8) return "[Depth]";
+			seen.add(v);
+
+			let out;
+			if (Array.isArray(v)) {
+				out = v.map(x => walk(x, depth + 1));
+			} else {
+				out = {};
+				Object.keys(v).forEach((k) => {
+					const w = walk(v[k], depth + 1);
+					if (w !== undefined) out[k] = w;
+				});
+			}
+			seen.delete(v);
+			return out;
+		}
+
+		try {
+			return walk(value, 0);
+		} catch (_) {
+			return "[Unserializable]";
+		}
+	}
+
+	/********************************************************************
+	 * loader @private _beaconTransport
+	 * -log transport: batches entries and ships them to an endpoint
+	 * -navigator.sendBeacon when it fits, else fetch(keepalive)
+	 * -flushes on batchSize, after flushMs, and when the page is hidden
+	 * @param {object} { endpoint, name?, minLevel?, scopePrefix?, batchSize = 20, flushMs = 5000, headers? }
+	 * @returns {object} the transport (+ close(): sends the rest, drops the page listeners)
+	 ********************************************************************/
+	function _beaconTransport(opts) {
+		const o = opts || {};
+		const endpoint = String(o.endpoint || "");
+		const batchSize = (typeof o.batchSize === "number" && o.batchSize > 0) ? o.batchSize : 20;
+		const flushMs = (typeof o.flushMs === "number" && o.flushMs >= 0) ? o.flushMs : 5000;
+		let queue = [];
+		let timer = null;
+
+		function send() {
+			if (timer) { clearTimeout(timer); timer = null; }
+			if (!endpoint || queue.length === 0) return Promise.resolve();
+
+			const batch = queue;
+			queue = [];
+			const body = JSON.stringify({ entries: batch });
+
+			try {
+				const nav = (typeof navigator !== "undefined") ? navigator : null;
+				if (nav && typeof nav.sendBeacon === "function" && body.length < 60000 && !o.headers) {
+					if (nav.sendBeacon(endpoint, new Blob([body], { type: "application/json" }))) return Promise.resolve();
+				}
+				if (typeof fetch === "function") {
+					const headers = Object.assign({ "Content-Type": "application/json" }, o.headers || {});
+					return fetch(endpoint, { method: "POST", body: body, headers: headers, keepalive: body.length < 60000 })
+						.then(() => {}, () => {}); // shipping logs must never fail the app
+				}
+			} catch (_) {}
+			return Promise.resolve();
+		}
+
+		function onHidden() {
+			if (document.visibilityState === "hidden") send();
+		}
+		function onPageHide() {
+			send();
+		}
+
+		if (typeof document !== "undefined") document.addEventListener("visibilitychange", onHidden);
+		if (typeof window !== "undefined") window.addEventListener("pagehide", onPageHide);
+
+		return {
+			name: o.name || "beacon",
+			minLevel: o.minLevel,
+			scopePrefix: o.scopePrefix,
+			write: function (e) {
+				e.obj = _toJsonSafe(e.obj);
+				queue.push(e);
+				if (queue.length >= batchSize) send();
+				else if (!timer && flushMs > 0) timer = setTimeout(send, flushMs);
+			},
+			flush: send,
+			close: function close() {
+				if (typeof document !== "undefined") document.removeEventListener("visibilitychange", onHidden);
+				if (typeof window !== "undefined") window.removeEventListener("pagehide", onPageHide);
+				return send();
+			}
+		};
+	}
+
+	// this page lifetime (persisted entries carry it, see previousSession())
+	const PAGE_SESSION = _randomHex(8);
+
+	/********************************************************************
+	 * loader @private _notOlderThan
+	 * @param {object[]} the entries
+	 * @param {number} max age in ms (0 = keep all)
+	 * @returns {object[]} the entries young enough
+	 ********************************************************************/
+	function _notOlderThan(entries, maxAgeMs) {
+		if (!maxAgeMs) return entries;
+		const cutoff = Date.now() - maxAgeMs;
+		return entries.filter(e => e.ts >= cutoff);
+	}
+
+	/********************************************************************
+	 * loader @private _byteLength
+	 * @param {string} the text
+	 * @returns {number} its size in bytes (UTF-8)
+	 ********************************************************************/
+	function _byteLength(text) {
+		if (typeof TextEncoder === "function") return new TextEncoder().encode(text).length;
+		return unescape(encodeURIComponent(text)).length;
+	}
+
+	/********************************************************************
+	 * loader @private _previousSession
+	 * @param {object[]} persisted entries (any number of page lifetimes)
+	 * @returns {object[]} the entries of the most recent lifetime before this one
+	 ********************************************************************/
+	function _previousSession(entries) {
+		let last = null;
+		let lastTs = -1;
+		entries.forEach((e) => {
+			if (e.session !== PAGE_SESSION && e.ts > lastTs) {
+				last = e.session;
+				lastTs = e.ts;
+			}
+		});
+		if (last === null) return [];
+		return entries.filter(e => e.session === last).sort((a, b) => (a.ts - b.ts) || (a.seq - b.seq));
+	}
+
+	/********************************************************************
+	 * loader @private _sessionStorageTransport
+	 * -log transport: keeps recent entries in sessionStorage (survives a
+	 *  reload of the tab, not closing it)
+	 * -writes are debounced; capped by entries, bytes and age
+	 * -entries are stamped with this page lifetime's session id
+	 * @param {object} { key = "ezWeb:log", name?, minLevel?, scopePrefix?, max = 500, maxBytes = 500000, maxAgeMs? }
+	 * @returns {object} the transport (+ read() / previous() -> Promise<entries>, clear(), close())
+	 ********************************************************************/
+	function _sessionStorageTransport(opts) {
+		const o = opts || {};
+		const key = String(o.key || "ezWeb:log");
+		const max = (typeof o.max === "number" && o.max > 0) ? o.max : 500;
+		const maxBytes = (typeof o.maxBytes === "number" && o.maxBytes > 0) ? o.maxBytes : 500000;
+		const maxAgeMs = (typeof o.maxAgeMs === "number" && o.maxAgeMs > 0) ? o.maxAgeMs : 0;
+		let timer = null;
+
+		function storage() {
+			try { return (typeof sessionStorage !== "undefined") ? sessionStorage : null; } catch (_) { return null; } // blocked storage throws
+		}
+
+		let entries = [];
+		try {
+			const raw = storage() && storage().getItem(key);
+			const parsed = raw ? JSON.parse(raw) : [];
+			if (Array.isArray(parsed)) entries = parsed;
+		} catch (_) {}
+
+		function save() {
+			if (timer) { clearTimeout(timer); timer = null; }
+			const st = storage();
+			if (!st) return;
+
+			entries = _notOlderThan(entries, maxAgeMs);
+			if (entries.length > max) entries.splice(0, entries.length - max);
+
+			let text = JSON.stringify(entries);
+			while (entries.length > 1 && _byteLength(text) > maxBytes) {
+				entries.splice(0, Math.ceil(entries.length / 4));
+				text = JSON.stringify(entries);
+			}
+
+			for (let tries = 0; tries < 4; tries++) {
+				try {
+					st.setItem(key, text);
+					return;
+				} catch (_) { // quota: drop the older half and retry
+					entries.splice(0, Math.ceil(entries.length / 2));
+					text = JSON.stringify(entries);
+				}
+			}
+		}
+
+		if (typeof window !== "undefined") window.addEventListener("pagehide", save);
+
+		// closures, not this.read(): a detached previous() (const { previous } = t) still works
+		function read() {
+			return Promise.resolve(_notOlderThan(entries.slice(), maxAgeMs));
+		}
+
+		return {
+			name: o.name || "sessionStorage",
+			minLevel: o.minLevel,
+			scopePrefix: o.scopePrefix,
+			write: function (e) {
+				e.obj = _toJsonSafe(e.obj);
+				e.session = PAGE_SESSION;
+				entries.push(e);
+				if (!timer) timer = setTimeout(save, 250);
+			},
+			flush: save,
+			read: read,
+			previous: function previous() {
+				return read().then(_previousSession);
+			},
+			clear: function clear() {
+				entries = [];
+				try { if (storage()) storage().removeItem(key); } catch (_) {}
+				return Promise.resolve();
+			},
+			close: function close() {
+				if (typeof window !== "undefined") window.removeEventListener("pagehide", save);
+				save();
+				return Promise.resolve();
+			}
+		};
+	}
+
+	/********************************************************************
+	 * loader @private _indexedDBTransport
+	 * -log transport: keeps the last `max` entries in IndexedDB
+	 * -writes are batched per microtask into one transaction, which also
+	 *  deletes entries past max or older than maxAgeMs
+	 * -entries are stamped with this page lifetime's session id
+	 * @param {object} { dbName = "ezWeb-logs", name?, minLevel?, scopePrefix?, max = 1000, maxAgeMs? }
+	 * @returns {object} the transport (+ read() / previous() -> Promise<entries>, clear(), close())
+	 ********************************************************************/
+	function _indexedDBTransport(opts) {
+		const o = opts || {};
+		const dbName = String(o.dbName || "ezWeb-logs");
+		const max = (typeof o.max === "number" && o.max > 0) ? o.max : 1000;
+		const maxAgeMs = (typeof o.maxAgeMs === "number" && o.maxAgeMs > 0) ? o.maxAgeMs : 0;
+		const STORE = "entries";
+		let dbPromise = null;
+		let pending = [];
+		let scheduled = false;
+
+		function open() {
+			if (dbPromise) return dbPromise;
+			dbPromise = new Promise((resolve, reject) => {
+				if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB unavailable"));
+				const req = indexedDB.open(dbName, 1);
+				req.onupgradeneeded = () => req.result.createObjectStore(STORE, { autoIncrement: true });
+				req.onsuccess = () => resolve(req.result);
+				req.onerror = () => reject(req.error);
+			});
+			return dbPromise;
+		}
+
+		function done(tx) {
+			return new Promise((resolve, reject) => {
+				tx.oncomplete = () => resolve();
+				tx.onerror = tx.onabort = () => reject(tx.error);
+			});
+		}
+
+		function writeBatch() {
+			scheduled = false;
+			const batch = pending;
+			pending = [];
+			if (batch.length === 0) return Promise.resolve();
+
+			return open().then((db) => {
+				const tx = db.transaction(STORE, "readwrite");
+				const store = tx.objectStore(STORE);
+				batch.forEach(e => store.add(e));
+
+				// ring: drop the oldest beyond max, and any older than maxAgeMs
+				// (keys grow with time, so both sit at the start)
+				const cutoff = maxAgeMs ? Date.now() - maxAgeMs : 0;
+				const countReq = store.count();
+				countReq.onsuccess = () => {
+					let extra = countReq.result - max;
+					if (extra <= 0 && !cutoff) return;
+					store.openCursor().onsuccess = (ev) => {
+						const cur = ev.target.result;
+						if (!cur) return;
+						const expired = cutoff && cur.value && cur.value.ts < cutoff;
+						if (extra <= 0 && !expired) return;
+						cur.delete();
+						extra--;
+						cur.continue();
+					};
+				};
+				return done(tx);
+			}).catch(() => {}); // persistence is best-effort
+		}
+
+		function read() {
+			return writeBatch().then(open).then(db => new Promise((resolve, reject) => {
+				const req = db.transaction(STORE, "readonly").objectStore(STORE).getAll();
+				req.onsuccess = () => resolve(_notOlderThan(req.result || [], maxAgeMs));
+				req.onerror = () => reject(req.error);
+			}));
+		}
+
+		return {
+			name: o.name || "indexedDB",
+			minLevel: o.minLevel,
+			scopePrefix: o.scopePrefix,
+			write: function (e) {
+				e.obj = _toJsonSafe(e.obj);
+				e.session = PAGE_SESSION;
+				pending.push(e);
+				if (!scheduled) {
+					scheduled = true;
+					queueMicrotask(writeBatch);
+				}
+			},
+			flush: writeBatch,
+			read: read,
+			previous: function previous() {
+				return read().then(_previousSession, () => []);
+			},
+			clear: function clear() {
+				return open().then((db) => {
+					const tx = db.transaction(STORE, "readwrite");
+					tx.objectStore(STORE).clear();
+					return done(tx);
+				});
+			},
+			close: function close() {
+				return writeBatch().then(() => {
+					if (!dbPromise) return;
+					const closing = dbPromise;
+					dbPromise = null; // a later write opens it again
+					return closing.then(db => db.close(), () => {});
+				});
+			}
+		};
+	}
+
 	/*******************************************************************
 	 * Logger core (seeded by loader, locked at system.log)
 	 * - First-class API (dev-facing)
@@ -134,14 +1078,20 @@ const ezWeb = (function () {
 		 * @returns {object} the clone
 		 *******************************************************************/
 		function _cloneEntry(e) {
-			return {
+			const out = {
 				ts: e.ts,
 				seq: e.seq,
 				lvl: e.lvl,
 				msg: e.msg,
 				scope: e.scope,
-				obj: e.obj
+				obj: e.obj,
+				redacted: e.redacted === true
 			};
+			for (let i = 0; i < SPAN_FIELDS.length; i++) {
+				const k = SPAN_FIELDS[i];
+				if (e[k] !== undefined) out[k] = e[k];
+			}
+			return out;
 		}
 
 		/*******************************************************************
@@ -182,23 +1132,83 @@ const ezWeb = (function () {
 		 * @param {string} the dot separated scope 
 		 * -what module and what function did it come from
 		 * @param {object} the object in question or an error object.
+		 * @param {boolean} true if redaction masked something
+		 * @param {object} span fields (traceId, spanId, parentSpanId, duration, outcome) or null
+		 * @returns {object|null} the stored entry (null when history is off)
 		 *******************************************************************/
-		function _pushHistory(ts, lvl, msg, scope, obj) {
+		function _pushHistory(ts, lvl, msg, scope, obj, redacted, extra) {
+			const seq = ++_seq;
 			const max = _getLogMax();
-			if (max <= 0) return;
+			if (max <= 0) return null;
 
-			_hist.push({
+			const entry = {
 				ts: ts,
-				seq: ++_seq,
+				seq: seq,
 				lvl: lvl,
 				msg: msg,
 				scope: scope || "",
-				obj: obj
-			});
+				obj: obj,
+				redacted: redacted === true
+			};
+			if (extra) Object.assign(entry, extra);
+			_hist.push(entry);
 
 			_trimHistory();
+			return entry;
 		}
 		
+		// runtime per-scope levels (setLevel); win over options.logLevels on the same key
+		const _levelOverrides = Object.create(null);
+
+		/*******************************************************************
+		 * @private _levelFor
+		 * -verbosity for a scope: longest matching prefix in setLevel() /
+		 *  options.logLevels ("ezWeb.net" matches "ezWeb.net.ajax"),
+		 *  else options.verbosity
+		 * @param {string} the dot separated scope
+		 * @returns {number} the verbosity
+		 *******************************************************************/
+		function _levelFor(scope) {
+			const opts = system && system.options ? system.options : {};
+			const s = scope || "";
+			let best = null;
+			let bestLen = -1;
+
+			function scan(map) {
+				if (!map || typeof map !== "object") return;
+				const keys = Object.keys(map);
+				for (let i = 0; i < keys.length; i++) {
+					const k = keys[i];
+					const lvl = _toLevel(map[k], LEGACY_VERBOSITY);
+					if (lvl === null || k.length <= bestLen) continue;
+					if (k === "" || s === k || s.indexOf(k + ".") === 0) {
+						best = lvl;
+						bestLen = k.length;
+					}
+				}
+			}
+
+			scan(opts.logLevels);
+			bestLen--; // same key: setLevel() wins
+			scan(_levelOverrides);
+
+			if (best !== null) return best;
+			const v = _toLevel(opts.verbosity, LEGACY_VERBOSITY);
+			return (v !== null) ? v : log.INFO;
+		}
+
+		/*******************************************************************
+		 * @private _enabledAt
+		 * @param {number} the severity level
+		 * @param {string} the dot separated scope
+		 * @returns {boolean} true if an entry would print
+		 *******************************************************************/
+		function _enabledAt(level, scope) {
+			const verbosity = _levelFor(scope);
+			if (verbosity >= log.NONE) return false;
+			return level >= verbosity;
+		}
+
 		/*******************************************************************
 		 * @private _print
 		 * -prints an entry to the console 
@@ -212,12 +1222,8 @@ const ezWeb = (function () {
 		function _print(ts, level, msg, scope, obj) {
 			try {
 				const opts = system && system.options ? system.options : {};
-				const verbosity = (typeof opts.verbosity === "number") ? opts.verbosity : log.INFO;
 
-				if (level !== log.FATAL) {
-					if (verbosity <= log.NONE) return;
-					if (level > verbosity) return;
-				}
+				if (level !== log.FATAL && !_enabledAt(level, scope)) return;
 
 				const appPrefix = (typeof opts.appPrefix === "string") ? opts.appPrefix : "";
 				const prefix = (appPrefix === "") ? "" : "[" + appPrefix + "]\t" 
@@ -226,7 +1232,7 @@ const ezWeb = (function () {
 
 				const scoped = scope ? ("[" + scope + "] ") : "";
 				
-				const lvlName = log.levels[level] || "UNKNOWN";
+				const lvlName = log.levels[level] || ("   " + level);
 				const line = stamp + "[Log level: " + lvlName + "] " + "\t" + prefix + scoped + msg;
 
 				if (level === log.WARN) {
@@ -245,33 +1251,331 @@ const ezWeb = (function () {
 			}
 		}
 
+		// transports: every entry is handed to each one (console is the default)
+		const _transports = [];
+		const _subscribers = []; // log.subscribe(): same shape as a transport
+		const _spanStack = [];   // spans made active by run()/span() (synchronous part only)
+		const _timers = new Map(); // time()/timeEnd(): scope + label -> start
+		const _repeats = new Map(); // dedupe windows: scope + level + msg -> { until, count, stored, entry }
+		const _rates = new Map();   // rate limit: scope -> { start, count, dropped }
+		let _repeatTimer = null;
+		let _repeatsNext = Infinity; // earliest dedupe window end
+		let _subSeq = 0;
+		let _dispatching = false; // a transport that logs must not loop back into transports
+		const _requeue = [];      // entries logged from inside a write(), delivered right after it
+		const REQUEUE_MAX = 100;  // per dispatch: a transport that logs on every write can't spin forever
+		let _requeued = 0;
+
 		/*******************************************************************
-		 * public logger
-		 * @param {string} the message to log
-		 * @param {number} the severity level
+		 * @private _dispatch
+		 * -hands an entry to every matching transport
+		 * -entries logged inside a write() are queued and delivered once it
+		 *  returns (never recursively)
+		 * -a throwing transport is caught and reported once to the console
+		 * @param {object} the history entry
+		 *******************************************************************/
+		function _dispatch(entry) {
+			if (_dispatching) {
+				if (_requeued < REQUEUE_MAX) {
+					_requeued++;
+					_requeue.push(entry);
+				}
+				return;
+			}
+			_dispatching = true;
+			_requeued = 0;
+			try {
+				let next = entry;
+				while (next) {
+					_deliver(_transports, next, "log transport");
+					if (_subscribers.length) _deliver(_subscribers.slice(), next, "log subscriber");
+					next = _requeue.shift();
+				}
+			} finally {
+				_requeue.length = 0;
+				_dispatching = false;
+			}
+		}
+
+		/*******************************************************************
+		 * @private _wants
+		 * -does a sink take entries of this level + scope (minLevel,
+		 *  scopePrefix, and the console's own verbosity check)
+		 * @param {object} the transport or subscriber
+		 * @param {number} the level
+		 * @param {string} the scope
+		 * @returns {boolean} true if write() should get the entry
+		 *******************************************************************/
+		function _wants(t, level, scope) {
+			const ml = _toLevel(t.minLevel, LEGACY_SEVERITY);
+			if (ml !== null && level < ml) return false;
+			if (t.scopePrefix && scope.indexOf(t.scopePrefix) !== 0) return false;
+			return typeof t.__ezAccepts !== "function" || t.__ezAccepts(level, scope);
+		}
+
+		/*******************************************************************
+		 * @private _deliver
+		 * -calls write(entry) on each sink whose minLevel/scopePrefix match
+		 * @param {object[]} the transports or subscribers
+		 * @param {object} the history entry
+		 * @param {string} what they are (for the one-time error message)
+		 *******************************************************************/
+		function _deliver(list, entry, kind) {
+			for (let i = 0; i < list.length; i++) {
+				const t = list[i];
+				if (!_wants(t, entry.lvl, entry.scope)) continue;
+				try {
+					const e = _cloneEntry(entry);
+					if (system && system.pid) e.pid = system.pid;
+					t.write(e);
+				} catch (e) {
+					if (!t.__ezFailed) {
+						t.__ezFailed = true;
+						try { console.error("[ezWeb] " + kind + " '" + t.name + "' threw (further errors ignored)", e); } catch (_) {}
+					}
+				}
+			}
+		}
+
+		// redactor for the current options.logRedact (rebuilt when it changes)
+		let _redactCfg;
+		let _redactFn = null;
+
+		/*******************************************************************
+		 * @private _getRedactor
+		 * @returns {function|null} redact(value) for options.logRedact, or null when off
+		 *******************************************************************/
+		function _getRedactor() {
+			const cfg = system && system.options ? system.options.logRedact : null;
+			if (cfg !== _redactCfg || _redactCfg === undefined) {
+				_redactCfg = (cfg === undefined) ? null : cfg;
+				_redactFn = _makeRedactor(_redactCfg);
+			}
+			return _redactFn;
+		}
+
+		/*******************************************************************
+		 * @private _reaches
+		 * -does an entry go anywhere: history (logMax > 0) or a transport /
+		 *  subscriber whose minLevel + scopePrefix match
+		 * @param {number} the level
+		 * @param {string} the scope
+		 * @returns {boolean} false if the entry would be dropped by everyone
+		 *******************************************************************/
+		function _reaches(level, scope) {
+			if (_getLogMax() > 0) return true;
+			const wants = t => _wants(t, level, scope);
+			return _transports.some(wants) || _subscribers.some(wants);
+		}
+
+		/*******************************************************************
+		 * @private _ambientSpan
+		 * @returns {object|null} the innermost active span
+		 *******************************************************************/
+		function _ambientSpan() {
+			return _spanStack.length ? _spanStack[_spanStack.length - 1] : null;
+		}
+
+		/*******************************************************************
+		 * @private _emit
+		 * -masks secrets (options.logRedact), records the entry in history
+		 *  and sends it to the transports
+		 * @param {Date} the timestamp
+		 * @param {number} the severity level
+		 * @param {string} the message
+		 * @param {string} the dot separated scope
+		 * @param {object} the object in question or an error object.
+		 * @param {object} the span the entry belongs to, or null
+		 * @param {object} { duration, outcome } for span/timer ends, or null
+		 *******************************************************************/
+		function _emit(ts, level, msg, scope, obj, span, timing) {
+			const dedupeKey = (level !== log.FATAL) ? _floodGate(ts, level, String(msg), scope || "", span ? span.spanId : "") : null;
+			if (dedupeKey === false) return; // collapsed or rate limited
+
+			// masking copies obj: only pay for it when the entry is kept or sent somewhere
+			let redacted = false;
+			const redact = _reaches(level, scope || "") ? _getRedactor() : null;
+			if (redact) {
+				const m = redact(msg);
+				const o = redact(obj);
+				msg = m.value;
+				obj = o.value;
+				redacted = m.hit || o.hit;
+			}
+
+			let extra = null;
+			if (span) extra = { traceId: span.traceId, spanId: span.spanId, parentSpanId: span.parentSpanId };
+			if (timing) extra = Object.assign(extra || {}, timing);
+
+			const stored = _pushHistory(ts, level, msg, scope, obj, redacted, extra);
+			const entry = Object.assign({
+				ts: ts,
+				seq: _seq,
+				lvl: level,
+				msg: msg,
+				scope: scope || "",
+				obj: obj,
+				redacted: redacted
+			}, extra);
+			if (dedupeKey) _trackRepeat(dedupeKey, ts, stored, entry);
+			_dispatch(entry);
+		}
+
+		/*******************************************************************
+		 * @private _floodGate
+		 * -dedupe: an entry identical (scope, level, msg, span) to one logged
+		 *  less than options.logDedupeMs ago only bumps that entry's repeat count
+		 *  (entries of different spans never collapse: each keeps its trace ids)
+		 * -rate limit: over options.logRateLimit entries/second in a scope
+		 *  are dropped; one WARN when that starts, one INFO when it ends.
+		 *  Only entries at or above the scope's level count (and get dropped)
+		 * @param {number} the timestamp
+		 * @param {number} the level
+		 * @param {string} the message
+		 * @param {string} the scope
+		 * @param {string} the span id ("" outside spans)
+		 * @returns {string|null|false} the dedupe key to track, null (no dedupe), or false (drop)
+		 *******************************************************************/
+		function _floodGate(ts, level, msg, scope, spanId) {
+			const opts = system && system.options ? system.options : {};
+			const windowMs = (typeof opts.logDedupeMs === "number") ? opts.logDedupeMs : 0;
+			const limit = (typeof opts.logRateLimit === "number") ? opts.logRateLimit : 0;
+
+			let key = null;
+			if (windowMs > 0) {
+				if (ts >= _repeatsNext) _sweepRepeats(ts);
+				key = scope + "\u0000" + level + "\u0000" + spanId + "\u0000" + msg;
+				const seen = _repeats.get(key);
+				if (seen) {
+					seen.count++;
+					if (seen.stored) seen.stored.repeat = seen.count;
+					return false;
+				}
+			}
+
+			if (limit > 0 && _enabledAt(level, scope)) {
+				let r = _rates.get(scope);
+				if (!r || ts - r.start >= 1000) {
+					if (r) _endRateWindow(scope, r, ts);
+					r = { start: ts, count: 0, dropped: 0, timer: null };
+					_rates.set(scope, r);
+				}
+				r.count++;
+				if (r.count > limit) {
+					r.dropped++;
+					if (r.dropped === 1) {
+						_record(ts, log.WARN, "Log rate limit: suppressing '" + scope + "' (over " + limit + " entries/s)", "ezWeb.log", { scope: scope, limit: limit });
+						// "resumed" goes out when the second is up, even if the scope went quiet
+						const win = r;
+						win.timer = setTimeout(() => _endRateWindow(scope, win, Date.now()), Math.max(0, win.start + 1000 - ts));
+					}
+					return false;
+				}
+			}
+
+			return key;
+		}
+
+		/*******************************************************************
+		 * @private _endRateWindow
+		 * -closes a scope's rate limit second; one that dropped entries
+		 *  logs the "resumed" INFO
+		 * @param {string} the scope
+		 * @param {object} the window
+		 * @param {number} the timestamp
+		 *******************************************************************/
+		function _endRateWindow(scope, r, ts) {
+			if (r.timer) {
+				clearTimeout(r.timer);
+				r.timer = null;
+			}
+			if (_rates.get(scope) === r) _rates.delete(scope);
+			if (r.dropped > 0) {
+				_record(ts, log.INFO, "Log rate limit: resumed '" + scope + "', " + r.dropped + " entries suppressed", "ezWeb.log", { scope: scope, dropped: r.dropped });
+				r.dropped = 0;
+			}
+		}
+
+		/*******************************************************************
+		 * @private _trackRepeat
+		 * -opens a dedupe window for a freshly logged entry
+		 * @param {string} the dedupe key
+		 * @param {number} the timestamp
+		 * @param {object} the history entry (gets .repeat), or null
+		 * @param {object} the dispatched entry (for the closing summary)
+		 *******************************************************************/
+		function _trackRepeat(key, ts, stored, entry) {
+			const opts = system && system.options ? system.options : {};
+			const until = ts + opts.logDedupeMs;
+			_repeats.set(key, { until: until, count: 1, stored: stored, entry: entry });
+			if (until < _repeatsNext) _repeatsNext = until;
+			if (!_repeatTimer) _repeatTimer = setTimeout(() => { _repeatTimer = null; _sweepRepeats(Date.now()); }, opts.logDedupeMs);
+		}
+
+		/*******************************************************************
+		 * @private _sweepRepeats
+		 * -closes expired dedupe windows; one that collapsed repeats sends
+		 *  transports a "(repeated N times)" summary of its entry
+		 * @param {number} now
+		 *******************************************************************/
+		function _sweepRepeats(now) {
+			let next = Infinity;
+			_repeats.forEach((r, key) => {
+				if (r.until > now) {
+					next = Math.min(next, r.until);
+					return;
+				}
+				_repeats.delete(key);
+				if (r.count > 1) {
+					_dispatch(Object.assign({}, r.entry, { msg: r.entry.msg + " (repeated " + r.count + " times)", repeat: r.count }));
+				}
+			});
+			_repeatsNext = next;
+			if (next !== Infinity && !_repeatTimer) {
+				_repeatTimer = setTimeout(() => { _repeatTimer = null; _sweepRepeats(Date.now()); }, Math.max(0, next - now));
+			}
+		}
+
+		/*******************************************************************
+		 * @private _record
+		 * -stores + dispatches an entry without the flood gate (its own notices)
+		 * @param {number} the timestamp
+		 * @param {number} the severity level
+		 * @param {string} the message
+		 * @param {string} the dot separated scope
+		 * @param {object} the details
+		 *******************************************************************/
+		function _record(ts, level, msg, scope, obj) {
+			_pushHistory(ts, level, msg, scope, obj, false, null);
+			_dispatch({ ts: ts, seq: _seq, lvl: level, msg: msg, scope: scope, obj: obj, redacted: false });
+		}
+
+		/*******************************************************************
+		 * public logger
+		 * @param {string} the message to log
+		 * @param {number} the severity level
 		 * @param {any} the object in question, a string, a function, or an error object.
 		 *******************************************************************/
 		function log(msg, lvl, obj) {
 			try {
-				const level = (typeof lvl === "number") ? lvl : log.INFO;
+				const level = _toLevel(lvl, LEGACY_SEVERITY) || log.INFO;
 				const ts = Date.now();
 				const text = String(msg);
 
-				_pushHistory(ts, level, text, "", obj);
-				_print(ts, level, text, "", obj);
+				_emit(ts, level, text, "", obj, _ambientSpan(), null);
 			} catch (_) {}
 		}
 		
-		// Levels
-		log.NONE  = 0;
-		log.INFO  = 1;
-		log.WARN  = 2;
-		log.DEBUG = 3;
-		log.ERROR = 4;
-		log.FATAL = 5;
+		// Levels (ordered by severity, see LEVELS)
+		log.DEBUG = LEVELS.DEBUG;
+		log.INFO  = LEVELS.INFO;
+		log.WARN  = LEVELS.WARN;
+		log.ERROR = LEVELS.ERROR;
+		log.FATAL = LEVELS.FATAL;
+		log.NONE  = LEVELS.NONE;
 		
-		// Console formated names
-		log.levels = ["    NONE","    INFO","    WARN","DEBUG","ERROR","FATAL"];
+		// Console formated names (by level)
+		log.levels = Object.freeze({ 10: "DEBUG", 20: "    INFO", 30: "    WARN", 40: "ERROR", 50: "FATAL", 100: "    NONE" });
 
 		/*******************************************************************
 		 * public info logger
@@ -314,12 +1618,12 @@ const ezWeb = (function () {
 		/*******************************************************************
 		 * public full history snapshot (copy)
 		 * @param {Date} how far back to go
-		 * @param {number} the minimum level to filter
+		 * @param {number|string} the minimum level to filter (log.WARN or "WARN": WARN, ERROR, FATAL)
 		 * @param {string} the scope to filter
 		 *******************************************************************/
 		log.history = function history(sinceTs, minLevel, scopePrefix) {
 			const st = (typeof sinceTs === "number") ? sinceTs : 0;
-			const ml = (typeof minLevel === "number") ? minLevel : log.NONE;
+			const ml = _toLevel(minLevel, LEGACY_SEVERITY) || 0;
 			const sp = (scopePrefix != null) ? String(scopePrefix) : null;
 
 			const out = [];
@@ -352,7 +1656,7 @@ const ezWeb = (function () {
 		log.since = function since(cur, minLevel, scopePrefix) {
 			const st = cur && typeof cur.ts === "number" ? cur.ts : 0;
 			const sq = cur && typeof cur.seq === "number" ? cur.seq : 0;
-			const ml = (typeof minLevel === "number") ? minLevel : log.NONE;
+			const ml = _toLevel(minLevel, LEGACY_SEVERITY) || 0;
 			const sp = (scopePrefix != null) ? String(scopePrefix) : null;
 
 			const out = [];
@@ -379,6 +1683,258 @@ const ezWeb = (function () {
 			return { cursor: next, entries: entries };
 		};
 
+		/*******************************************************************
+		 * public subscribe
+		 * -live feed: fn(entry) runs for every new entry that matches
+		 *   const off = system.log.subscribe(e => panel.add(e), { minLevel: "WARN" });
+		 * -fn errors are caught (reported once); logging from fn is not re-fed
+		 * @param {function} fn(entry)
+		 * @param {object} { minLevel?, scopePrefix? }
+		 * @returns {function} unsubscribe()
+		 *******************************************************************/
+		log.subscribe = function subscribe(fn, opts) {
+			if (typeof fn !== "function") {
+				log.scope("ezWeb.log").warn("subscribe(): expected a function");
+				return function unsubscribe() {};
+			}
+
+			const o = opts || {};
+			const sub = { name: "subscriber#" + (++_subSeq), minLevel: o.minLevel, scopePrefix: o.scopePrefix, write: fn };
+			_subscribers.push(sub);
+
+			return function unsubscribe() {
+				const i = _subscribers.indexOf(sub);
+				if (i !== -1) _subscribers.splice(i, 1);
+			};
+		};
+
+		/*******************************************************************
+		 * public export
+		 * -the history as a string, ready for a download or a bug report
+		 *   "ndjson": one JSON entry per line
+		 *   "otel":   an OpenTelemetry logs (OTLP/JSON) document
+		 * -obj is made JSON-safe: Errors keep name/message/stack, cycles and
+		 *  DOM nodes become short markers
+		 * @param {string} "ndjson" | "otel"
+		 * @param {object} { sinceTs?, minLevel?, scopePrefix? }
+		 * @returns {string} the export
+		 *******************************************************************/
+		log.export = function exportLog(format, opts) {
+			const o = opts || {};
+			const entries = log.history(o.sinceTs, o.minLevel, o.scopePrefix);
+			const opt = system && system.options ? system.options : {};
+			const pid = (system && system.pid) || "";
+
+			if (format === "otel") return JSON.stringify(_toOtel(entries, pid, opt.appPrefix));
+
+			if (format !== "ndjson" && format != null) {
+				log.scope("ezWeb.log").warn("export(): unknown format '" + String(format) + "', using ndjson");
+			}
+
+			return entries.map(e => JSON.stringify({
+				time: new Date(e.ts).toISOString(),
+				ts: e.ts,
+				seq: e.seq,
+				level: LEVEL_NAMES[e.lvl] || String(e.lvl),
+				lvl: e.lvl,
+				scope: e.scope,
+				msg: e.msg,
+				obj: _toJsonSafe(e.obj),
+				redacted: e.redacted || undefined,
+				traceId: e.traceId,
+				spanId: e.spanId,
+				parentSpanId: e.parentSpanId,
+				duration: e.duration,
+				outcome: e.outcome,
+				repeat: e.repeat,
+				pid: pid || undefined
+			})).join("\n") + (entries.length ? "\n" : "");
+		};
+
+		/*******************************************************************
+		 * public setLevel
+		 * -runtime verbosity for a scope and everything below it
+		 *   system.log.setLevel("ezWeb.bind", system.log.DEBUG)
+		 *   system.log.setLevel("ezWeb.bind", null) // back to logLevels/verbosity
+		 * @param {string} the dot separated scope ("" = everything)
+		 * @param {number|string|null} the verbosity, or null to remove the override
+		 *******************************************************************/
+		log.setLevel = function setLevel(scope, lvl) {
+			const key = scope != null ? String(scope) : "";
+			if (lvl == null) {
+				delete _levelOverrides[key];
+				return;
+			}
+			if (_toLevel(lvl, LEGACY_VERBOSITY) === null) {
+				log.scope("ezWeb.log").warn("setLevel(): not a level (use log.DEBUG.. log.NONE or a name)", { scope: key, level: lvl });
+				return;
+			}
+			_levelOverrides[key] = lvl;
+		};
+
+		/*******************************************************************
+		 * public getLevel
+		 * @param {string} the dot separated scope
+		 * @returns {number} the verbosity that applies to it
+		 *******************************************************************/
+		log.getLevel = function getLevel(scope) {
+			return _levelFor(scope != null ? String(scope) : "");
+		};
+
+		/*******************************************************************
+		 * public enabled
+		 * -guard for expensive log payloads
+		 *   if (log.enabled(log.DEBUG)) log.debug("state", snapshot());
+		 * @param {number} the severity level
+		 * @returns {boolean} true if an entry at that level would print
+		 *******************************************************************/
+		log.enabled = function enabled(lvl) {
+			return _enabledAt(_toLevel(lvl, LEGACY_SEVERITY) || log.INFO, "");
+		};
+
+		/*******************************************************************
+		 * public addTransport
+		 * -sends every log entry (that passes minLevel/scopePrefix) to write()
+		 * -a transport with the same name is replaced (and closed)
+		 * -write() errors never reach the caller that logged
+		 * @param {object} { name, minLevel?, scopePrefix?, write(entry), flush?(), close?() }
+		 * @returns {function} remove()
+		 *******************************************************************/
+		log.addTransport = function addTransport(t) {
+			if (!t || typeof t.write !== "function") {
+				log.scope("ezWeb.log").warn("addTransport(): transport needs a write(entry) function");
+				return function remove() {};
+			}
+
+			const name = String(t.name || "transport");
+			_takeTransport(name, t);
+			_transports.push(t);
+			t.name = name;
+
+			return function remove() { log.removeTransport(name); };
+		};
+
+		/*******************************************************************
+		 * @private _takeTransport
+		 * -unlists a transport by name and calls its close() (page
+		 *  listeners, timers), unless it is the one being re-added
+		 * @param {string} the transport name
+		 * @param {object} the transport to keep open, or null
+		 * @returns {boolean} true if one was removed
+		 *******************************************************************/
+		function _takeTransport(name, keep) {
+			for (let i = 0; i < _transports.length; i++) {
+				const t = _transports[i];
+				if (t.name !== String(name)) continue;
+				_transports.splice(i, 1);
+				if (t !== keep && typeof t.close === "function") {
+					try { Promise.resolve(t.close()).catch(() => {}); } catch (_) {}
+				}
+				return true;
+			}
+			return false;
+		}
+
+		/*******************************************************************
+		 * public removeTransport
+		 * -closes it too (flushes what it buffered, drops its page listeners)
+		 * @param {string} the transport name
+		 * @returns {boolean} true if one was removed
+		 *******************************************************************/
+		log.removeTransport = function removeTransport(name) {
+			return _takeTransport(name, null);
+		};
+
+		/*******************************************************************
+		 * public transportNames
+		 * @returns {string[]} the installed transports, in dispatch order
+		 *******************************************************************/
+		log.transportNames = function transportNames() {
+			return _transports.map(t => t.name);
+		};
+
+		/*******************************************************************
+		 * public flush
+		 * -asks every transport with a flush() to send what it buffered
+		 * @returns {Promise<void>} settles when all flushes did (never rejects)
+		 *******************************************************************/
+		log.flush = function flush() {
+			const work = [];
+			for (let i = 0; i < _transports.length; i++) {
+				const t = _transports[i];
+				if (typeof t.flush !== "function") continue;
+				try { work.push(Promise.resolve(t.flush()).catch(() => {})); } catch (_) {}
+			}
+			return Promise.all(work).then(() => {});
+		};
+
+		/*******************************************************************
+		 * public close
+		 * -the loader calls this on unmount: sends pending "(repeated N
+		 *  times)" summaries and "resumed" notices, stops the flood timers,
+		 *  then closes the transports (flush() for those without close())
+		 * @returns {Promise<void>} settles when they all did (never rejects)
+		 *******************************************************************/
+		log.close = function close() {
+			if (_repeatTimer) {
+				clearTimeout(_repeatTimer);
+				_repeatTimer = null;
+			}
+			_sweepRepeats(Infinity);
+			_rates.forEach((r, scope) => _endRateWindow(scope, r, Date.now()));
+
+			const work = [];
+			for (let i = 0; i < _transports.length; i++) {
+				const t = _transports[i];
+				const fn = (typeof t.close === "function") ? t.close : t.flush;
+				if (typeof fn !== "function") continue;
+				try { work.push(Promise.resolve(fn.call(t)).catch(() => {})); } catch (_) {}
+			}
+			return Promise.all(work).then(() => {});
+		};
+
+		/*******************************************************************
+		 * public previousSession
+		 * -the entries the last page lifetime persisted (before a reload),
+		 *  from the first transport that keeps them (options.logPersist,
+		 *  or a sessionStorage/indexedDB transport you added)
+		 * @returns {Promise<object[]>} oldest first; [] when nothing persists
+		 *******************************************************************/
+		log.previousSession = function previousSession() {
+			for (let i = 0; i < _transports.length; i++) {
+				const t = _transports[i];
+				if (typeof t.previous !== "function") continue;
+				try { return Promise.resolve(t.previous()).catch(() => []); } catch (_) { return Promise.resolve([]); }
+			}
+			return Promise.resolve([]);
+		};
+
+		/*******************************************************************
+		 * built-in transports (factories)
+		 *   log.addTransport(log.transports.console({ scopePrefix: "ezWeb.net" }))
+		 *   log.addTransport(log.transports.beacon({ endpoint: "/logs" }))
+		 *   log.addTransport(log.transports.indexedDB({ max: 5000 }))
+		 *   log.addTransport(log.transports.sessionStorage({ key: "myApp:log" }))
+		 *******************************************************************/
+		log.transports = Object.freeze({
+			console: function consoleTransport(opts) {
+				const o = opts || {};
+				return {
+					name: o.name || "console",
+					minLevel: o.minLevel,
+					scopePrefix: o.scopePrefix,
+					__ezAccepts: (level, scope) => level === log.FATAL || _enabledAt(level, scope), // what _print would print
+					write: function (e) { _print(e.ts, e.lvl, e.msg, e.scope, e.obj); }
+				};
+			},
+			beacon: _beaconTransport,
+			indexedDB: _indexedDBTransport,
+			sessionStorage: _sessionStorageTransport
+		});
+
+		// default: console (honours options.verbosity)
+		log.addTransport(log.transports.console());
+
 		/*******************************************************************
 		 * public scope
 		 * -set a scope containing log current scope + new scopeName
@@ -386,25 +1942,34 @@ const ezWeb = (function () {
 		 * @returns {object} a new logger with full scope set.
 		 *******************************************************************/
 		log.scope = function scope(scopeName) {
-			const s = scopeName != null ? String(scopeName) : "";
+			return _scoped(scopeName != null ? String(scopeName) : "", null);
+		};
 
+		/*******************************************************************
+		 * @private _scoped
+		 * -builds a scoped logger; one made by startSpan()/span() carries
+		 *  its span, and so does every .scope() below it
+		 * @param {string} the full dot separated scope
+		 * @param {object} the span, or null (entries then use the active span)
+		 * @returns {function} the scoped logger
+		 *******************************************************************/
+		function _scoped(s, span) {
 			const scoped = function (msg, lvl, obj) {
 				try {
-					const level = (typeof lvl === "number") ? lvl : log.INFO;
+					const level = _toLevel(lvl, LEGACY_SEVERITY) || log.INFO;
 					const ts = Date.now();
 					const text = String(msg);
 
-					_pushHistory(ts, level, text, s, obj);
-					_print(ts, level, text, s, obj);
+					_emit(ts, level, text, s, obj, span || _ambientSpan(), null);
 				} catch (_) {}
 			};
 
-			scoped.NONE  = log.NONE;
+			scoped.DEBUG = log.DEBUG;
 			scoped.INFO  = log.INFO;
 			scoped.WARN  = log.WARN;
-			scoped.DEBUG = log.DEBUG;
 			scoped.ERROR = log.ERROR;
 			scoped.FATAL = log.FATAL;
+			scoped.NONE  = log.NONE;
 
 			scoped.info  = (m,o)=>scoped(m,scoped.INFO,o);
 			scoped.warn  = (m,o)=>scoped(m,scoped.WARN,o);
@@ -418,7 +1983,131 @@ const ezWeb = (function () {
 
 			scoped.scope = function (sub) {
 				const next = sub != null ? String(sub) : "";
-				return log.scope(s ? (s + "." + next) : next);
+				return _scoped(s ? (s + "." + next) : next, span);
+			};
+
+			/***************************************************************
+			 * scoped startSpan
+			 * -opens a span under this logger's span (or the active one)
+			 * @param {string} the span name
+			 * @param {object} optional details logged with the start entry
+			 * @returns {function} a scoped logger for the span, plus
+			 *   end(outcome = "ok", obj?) -> duration ms, run(fn) -> fn's result
+			 ***************************************************************/
+			scoped.startSpan = function startSpan(name, obj) {
+				const parent = span || _ambientSpan();
+				const sp = {
+					name: String(name),
+					traceId: parent ? parent.traceId : _randomHex(16),
+					spanId: _randomHex(8),
+					parentSpanId: parent ? parent.spanId : undefined,
+					t0: _now(),
+					ended: false
+				};
+
+				const spanLog = _scoped(s, sp);
+				spanLog.traceId = sp.traceId;
+				spanLog.spanId = sp.spanId;
+
+				// runs fn with this span active, so plain log calls inside it join the span
+				spanLog.run = function run(fn) {
+					_spanStack.push(sp);
+					try {
+						return fn(spanLog);
+					} finally {
+						const i = _spanStack.lastIndexOf(sp);
+						if (i !== -1) _spanStack.splice(i, 1);
+					}
+				};
+
+				// "ok" and "abort" (a cancel or an unmount) are routine: DEBUG, like the start.
+				// Routine span entries are only kept while DEBUG is on for the scope, so
+				// every request/handler doesn't push two entries through logMax
+				spanLog.end = function end(outcome, endObj) {
+					if (sp.ended) return null;
+					sp.ended = true;
+					const duration = Math.round((_now() - sp.t0) * 1000) / 1000;
+					const out = outcome != null ? String(outcome) : "ok";
+					const level = (out === "ok" || out === "abort") ? log.DEBUG : log.WARN;
+					if (level !== log.DEBUG || _enabledAt(log.DEBUG, s)) {
+						_emit(Date.now(), level, "span end: " + sp.name + " (" + duration + "ms, " + out + ")",
+							s, endObj, sp, { duration: duration, outcome: out });
+					}
+					return duration;
+				};
+
+				if (_enabledAt(log.DEBUG, s)) _emit(Date.now(), log.DEBUG, "span start: " + sp.name, s, obj, sp, null);
+				return spanLog;
+			};
+
+			/***************************************************************
+			 * scoped span
+			 * -runs fn(spanLog) inside a new span; async fns end it when they settle
+			 *   await log.span("checkout", async (sl) => { sl.info("paying"); ... });
+			 * -a throw/rejection ends it with outcome "error" and is rethrown
+			 * @param {string} the span name
+			 * @param {function} fn(spanLog)
+			 * @returns {any} fn's result (a promise if fn is async)
+			 ***************************************************************/
+			scoped.span = function withSpan(name, fn) {
+				const sl = scoped.startSpan(name);
+				let out;
+				try {
+					out = sl.run(fn);
+				} catch (e) {
+					sl.end("error", e);
+					throw e;
+				}
+				if (_isThenable(out)) {
+					return Promise.resolve(out).then((v) => { sl.end("ok"); return v; }, (e) => { sl.end("error", e); throw e; });
+				}
+				sl.end("ok");
+				return out;
+			};
+
+			/***************************************************************
+			 * scoped time / timeEnd
+			 * -console.time style; timeEnd logs "label: 12.3ms" at INFO
+			 * @param {string} the label
+			 * @returns {number|null} timeEnd: the duration in ms (null if no timer)
+			 ***************************************************************/
+			scoped.time = function time(label) {
+				_timers.set(s + "\u0000" + String(label), _now());
+			};
+
+			scoped.timeEnd = function timeEnd(label) {
+				const key = s + "\u0000" + String(label);
+				if (!_timers.has(key)) {
+					scoped.warn("timeEnd(): no timer '" + String(label) + "'");
+					return null;
+				}
+				const duration = Math.round((_now() - _timers.get(key)) * 1000) / 1000;
+				_timers.delete(key);
+				_emit(Date.now(), log.INFO, String(label) + ": " + duration + "ms", s, undefined, span || _ambientSpan(), { duration: duration, outcome: "ok" });
+				return duration;
+			};
+
+			scoped.enabled = (lvl) => _enabledAt(_toLevel(lvl, LEGACY_SEVERITY) || log.INFO, s);
+			scoped.setLevel = log.setLevel;
+			scoped.getLevel = log.getLevel;
+			scoped.addTransport = log.addTransport;
+			scoped.removeTransport = log.removeTransport;
+			scoped.transportNames = log.transportNames;
+			scoped.flush = log.flush;
+			scoped.close = log.close;
+			scoped.previousSession = log.previousSession;
+			scoped.transports = log.transports;
+
+			scoped.subscribe = function (fn, opts) {
+				const o = Object.assign({}, opts);
+				if (o.scopePrefix == null) o.scopePrefix = s;
+				return log.subscribe(fn, o);
+			};
+
+			scoped.export = function (format, opts) {
+				const o = Object.assign({}, opts);
+				if (o.scopePrefix == null) o.scopePrefix = s;
+				return log.export(format, o);
 			};
 
 			scoped.history = function (sinceTs, minLevel, scopePrefix) {
@@ -430,11 +2119,25 @@ const ezWeb = (function () {
 			};
 
 			return scoped;
-		};
+		}
+
+		// root logger: span + timer helpers at scope ""
+		const _rootScoped = _scoped("", null);
+		log.startSpan = _rootScoped.startSpan;
+		log.span = _rootScoped.span;
+		log.time = _rootScoped.time;
+		log.timeEnd = _rootScoped.timeEnd;
 
 		return log;
 	}
 
+	/********************************************************************
+	 * Page-level loader log
+	 * - For ezWeb.* calls that have no system bag (e.g. unmount of an unknown pid)
+	 * - Reads ezWeb.config.defaults, so verbosity is tunable before mounting
+	 ********************************************************************/
+	const pageLog = makeLoggerCore({ options: LOADER_DEFAULTS }).scope("ezWeb").scope("loader");
+
 	/******************************************************************
 	 * Base core API: shared helpers for modules (seeded by loader, locked)
 	 * - Primarily "module primitives", not necessarily app-facing sugar.
@@ -443,6 +2146,22 @@ const ezWeb = (function () {
 	function makeBaseCore(system) {
 		//create base core
 		const base = Object.create(null);
+
+		/*******************************************************************
+		 * @private _unsafeKey
+		 * -the merge helpers refuse keys that reach Object.prototype
+		 *  (JSON.parse('{"__proto__": {...}}') makes "__proto__" an own key)
+		 * @param {string} the key about to be merged
+		 * @param {string} which helper is merging (for the log)
+		 * @returns {boolean} true if the key was refused
+		 *******************************************************************/
+		function _unsafeKey(k, where) {
+			if (UNSAFE_KEYS.indexOf(k) === -1) return false;
+			try {
+				system.log.scope("ezWeb").scope("base").warn(where + "(): refused unsafe key '" + k + "' (prototype pollution)", { key: k });
+			} catch (_) {}
+			return true;
+		}
 		
 		/******************************************************************
 		 * base toNumber
@@ -490,6 +2209,7 @@ const ezWeb = (function () {
 			if (!base.isObj(target) || !base.isObj(src)) return target;
 
 			Object.keys(src).forEach((k) => {
+				if (_unsafeKey(k, "mergeDeep")) return;
 				const sv = src[k];
 				const tv = target[k];
 				if (base.isObj(sv) && base.isObj(tv)) { mergeDeep(tv, sv); }
@@ -511,6 +2231,7 @@ const ezWeb = (function () {
 			if (!base.isObj(target) || !base.isObj(defs)) return target;
 
 			Object.keys(defs).forEach((k) => {
+				if (_unsafeKey(k, "mergeDefaultsDeep")) return;
 				const dv = defs[k];
 				const tv = target[k];
 
@@ -565,6 +2286,7 @@ const ezWeb = (function () {
 		defineLocked(base, "mergeApi", function mergeApi(into, from) {
 			if (!base.isObj(into) || !base.isObj(from)) return into;
 			Object.keys(from).forEach((k) => {
+				if (_unsafeKey(k, "mergeApi")) return;
 				if (into[k] === undefined) into[k] = from[k];
 			});
 			return into;
@@ -615,48 +2337,636 @@ const ezWeb = (function () {
 		 *******************************************************************/
 		defineLocked(base, "toAbsUrl", function toAbsUrl(url, baseOverride) {
 			if (!url) return "";
-			if (/^(https?:)?\/\//i.test(url) || url.startsWith("data:")) return url;
+			if (url.startsWith("//") || /^[a-z][a-z0-9+.\-]*:/i.test(url)) return url; // already absolute (any scheme)
 			const root = baseOverride || system.options.frameworkBaseUrl || "";
 			return base.joinUrl(root, url);
 		});
 		
-		//this just attaches defineLocked to base	
-		defineLocked(base, "defineLocked", defineLocked);
-		
-		//return base
-		return base;
-	}
+		/*******************************************************************
+		 * @private _isPlain
+		 * @param {any} the value
+		 * @returns {boolean} true for arrays and plain objects (diff/patch walk into these)
+		 *******************************************************************/
+		function _isPlain(v) {
+			if (Array.isArray(v)) return true;
+			if (!v || typeof v !== "object") return false;
+			const proto = Object.getPrototypeOf(v);
+			return proto === Object.prototype || proto === null;
+		}
 
-	/********************************************************************
-	 * Asset loader (CSS + JS )
-	 * - Seeded by loader and locked at system.base.assets
-	 * @param {object} the object to attach the asset loader to
-	 ********************************************************************/
-	function addAssetLoaderToBase(system) {
-		//imports for this function
-		const base = system.base;
-		const log = system.log.scope("ezWeb").scope("loader").scope("assets");
-		function isArray(v) { return Array.isArray(v); }
+		/*******************************************************************
+		 * @private _raw
+		 * -the object behind a bind proxy (system.data): bind hands out a
+		 *  new proxy per path, so walks that track identity need the raw one
+		 *  (Date methods need it too)
+		 * @param {any} the value
+		 * @returns {any} the raw value
+		 *******************************************************************/
+		function _raw(v) {
+			return (v && typeof v === "object" && v.__isEzDeepProxy === true && v.__raw) ? v.__raw : v;
+		}
 
-		//objects to keep track so we only load stuff once. 
-		const cssLoaded = Object.create(null); // absUrl -> true
-		const jsPromise = Object.create(null); // absUrl -> Promise<any>
-		
-		/********************************************************************
-		 * @private _fetchText
-		 * - gets text from a resource
-		 * @param {string} the absolute url or path of the resource
-		 * @returns {string} the text from the resource 
-		 ********************************************************************/
-		async function _fetchText(absUrl) {
-			const textLog = log.scope("fetchText");
-			const res = await fetch(absUrl, { cache: system.options.cache || "no-cache" });
-			if (!res.ok) {
-				const err = new Error("Fetch failed: " + absUrl + " (" + res.status + ")");
-				textLog.error("Fetch failed: " + absUrl + " (" + res.status + ")", err);
+		/*******************************************************************
+		 * @private _deepClone
+		 * -copies arrays, plain objects and Dates; anything else (functions,
+		 *  DOM nodes, class instances) is kept by reference
+		 * -unsafe keys are left out (and logged)
+		 * @param {any} the value
+		 * @param {string} which helper is copying (for the log)
+		 * @param {Map} seen (cycles)
+		 * @returns {any} the copy
+		 *******************************************************************/
+		function _deepClone(value, where, seen) {
+			const v = _raw(value);
+			if (v instanceof Date) return new Date(v.getTime());
+			if (!_isPlain(v)) return v;
+
+			const memo = seen || new Map();
+			if (memo.has(v)) return memo.get(v);
+
+			const out = Array.isArray(v) ? [] : {};
+			memo.set(v, out);
+			Object.keys(v).forEach((k) => {
+				if (_unsafeKey(k, where)) return;
+				out[k] = _deepClone(v[k], where, memo);
+			});
+			return out;
+		}
+
+		/*******************************************************************
+		 * @private _ptrEscape / _ptrParse
+		 * -JSON Pointer (RFC 6901): "/a/b~1c/0" <-> ["a", "b/c", "0"]
+		 *******************************************************************/
+		function _ptrEscape(k) {
+			return String(k).replace(/~/g, "~0").replace(/\//g, "~1");
+		}
+
+		function _ptrParse(ptr) {
+			const p = String(ptr);
+			if (p === "") return [];
+			if (p.charAt(0) !== "/") throw new Error("invalid JSON Pointer '" + p + "'");
+			return p.slice(1).split("/").map(t => t.replace(/~1/g, "/").replace(/~0/g, "~"));
+		}
+
+		/*******************************************************************
+		 * base deepEqual
+		 * -structural equality: arrays, plain objects (own enumerable keys),
+		 *  Dates by time; everything else by identity (NaN equals NaN)
+		 * -works on bind proxies (system.data) like on plain objects
+		 * @param {any} a
+		 * @param {any} b
+		 * @returns {boolean} true if a and b are equal
+		 *******************************************************************/
+		defineLocked(base, "deepEqual", function deepEqual(a, b) {
+			const seen = new Map();
+
+			function eq(a, b) {
+				const x = _raw(a);
+				const y = _raw(b);
+				if (x === y) return true;
+				if (typeof x === "number" && typeof y === "number") return x !== x && y !== y; // NaN
+				if (x instanceof Date && y instanceof Date) return x.getTime() === y.getTime();
+				if (!_isPlain(x) || !_isPlain(y)) return false;
+				if (Array.isArray(x) !== Array.isArray(y)) return false;
+
+				// cycles: assume equal while comparing the same pair
+				let pairs = seen.get(x);
+				if (pairs && pairs.has(y)) return true;
+				if (!pairs) { pairs = new Set(); seen.set(x, pairs); }
+				pairs.add(y);
+
+				const kx = Object.keys(x);
+				const ky = Object.keys(y);
+				if (kx.length !== ky.length) return false;
+				for (let i = 0; i < kx.length; i++) {
+					const k = kx[i];
+					if (!Object.prototype.hasOwnProperty.call(y, k)) return false;
+					if (!eq(x[k], y[k])) return false;
+				}
+				return true;
+			}
+
+			return eq(a, b);
+		});
+
+		/*******************************************************************
+		 * base diff
+		 * -JSON Patch (RFC 6902) operations that turn a into b
+		 *   base.diff({ n: 1, tags: ["a"] }, { n: 2, tags: ["a", "b"] })
+		 *   // [{ op: "replace", path: "/n", value: 2 }, { op: "add", path: "/tags/1", value: "b" }]
+		 * -arrays compare by index (trailing adds/removes), op values are copies
+		 * -"__proto__" / "constructor" / "prototype" keys are left out with a
+		 *  WARN (applyPatch would refuse them)
+		 * @param {any} a (e.g. an earlier snapshot)
+		 * @param {any} b (e.g. system.data now)
+		 * @returns {object[]} the operations ([] if equal)
+		 *******************************************************************/
+		defineLocked(base, "diff", function diff(a, b) {
+			const ops = [];
+			const open = []; // [x, y] pairs being walked (cycles)
+
+			// one pass: containers are walked key by key, only leaves are compared
+			function walk(left, right, path) {
+				const x = _raw(left);
+				const y = _raw(right);
+				if (x === y) return;
+
+				const bothArrays = Array.isArray(x) && Array.isArray(y);
+				const bothObjects = _isPlain(x) && _isPlain(y) && !Array.isArray(x) && !Array.isArray(y);
+				if (!bothArrays && !bothObjects) {
+					if (!base.deepEqual(x, y)) ops.push({ op: "replace", path: path, value: _deepClone(y, "diff") });
+					return;
+				}
+				if (open.some(p => p[0] === x && p[1] === y)) return;
+
+				open.push([x, y]);
+				try {
+					compare(x, y, path, bothArrays);
+				} finally {
+					open.pop();
+				}
+			}
+
+			function compare(x, y, path, bothArrays) {
+				if (bothArrays) {
+					const common = Math.min(x.length, y.length);
+					for (let i = 0; i < common; i++) walk(x[i], y[i], path + "/" + i);
+					for (let i = x.length - 1; i >= y.length; i--) ops.push({ op: "remove", path: path + "/" + i });
+					for (let i = x.length; i < y.length; i++) ops.push({ op: "add", path: path + "/" + i, value: _deepClone(y[i], "diff") });
+					return;
+				}
+
+				Object.keys(x).forEach((k) => {
+					if (Object.prototype.hasOwnProperty.call(y, k)) return;
+					if (_unsafeKey(k, "diff")) return;
+					ops.push({ op: "remove", path: path + "/" + _ptrEscape(k) });
+				});
+				Object.keys(y).forEach((k) => {
+					if (_unsafeKey(k, "diff")) return;
+					const p = path + "/" + _ptrEscape(k);
+					if (!Object.prototype.hasOwnProperty.call(x, k)) ops.push({ op: "add", path: p, value: _deepClone(y[k], "diff") });
+					else walk(x[k], y[k], p);
+				});
+			}
+
+			walk(a, b, "");
+			return ops;
+		});
+
+		/*******************************************************************
+		 * base applyPatch
+		 * -applies JSON Patch (RFC 6902) operations in place:
+		 *  add, remove, replace, move, copy, test
+		 * -on system.data the writes go through the bind proxy, so bindings
+		 *  update per operation
+		 * -all or nothing: the patch is tried on a copy first; a failing op
+		 *  (bad path, failed test) is fatal and nothing is changed
+		 * -paths only walk arrays + plain objects: class instances, Maps & co
+		 *  can be replaced or removed as a whole, not patched inside
+		 * -"__proto__" / "constructor" / "prototype" path segments are refused
+		 * @param {object} the object to patch (e.g. system.data)
+		 * @param {object[]} the operations
+		 * @returns {any} the patched object (the new value for a "" root replace)
+		 *******************************************************************/
+		defineLocked(base, "applyPatch", function applyPatch(obj, ops) {
+			const log = system.log.scope("ezWeb").scope("base").scope("applyPatch");
+			if (!Array.isArray(ops)) log.fatal("applyPatch(): ops must be an array");
+
+			function fail(i, op, why) {
+				log.fatal("applyPatch(): op " + i + " (" + String(op && op.op) + " " + String(op && op.path) + ") " + why, { op: op });
+			}
+
+			// only arrays + plain objects are walked: the dry run copies just those,
+			// so a class instance or Map on the path would be changed for real
+			function parent(root, tokens, i, op) {
+				let cur = root;
+				for (let t = 0; t < tokens.length - 1; t++) {
+					const k = tokens[t];
+					if (UNSAFE_KEYS.indexOf(k) !== -1) fail(i, op, "refused unsafe key '" + k + "'");
+					if (cur == null || typeof cur !== "object") fail(i, op, "path does not exist");
+					if (!_isPlain(cur)) fail(i, op, "path goes through a value that is not plain data");
+					if (!Object.prototype.hasOwnProperty.call(cur, k)) fail(i, op, "path does not exist");
+					cur = cur[k];
+				}
+				if (cur == null || typeof cur !== "object") fail(i, op, "path does not exist");
+				if (!_isPlain(cur)) fail(i, op, "path goes through a value that is not plain data");
+				const last = tokens[tokens.length - 1];
+				if (UNSAFE_KEYS.indexOf(last) !== -1) fail(i, op, "refused unsafe key '" + last + "'");
+				return { node: cur, key: last };
+			}
+
+			function index(arr, key, i, op, allowEnd) {
+				if (key === "-" && allowEnd) return arr.length;
+				if (!/^(0|[1-9]\d*)$/.test(key)) fail(i, op, "bad array index '" + key + "'");
+				const n = Number(key);
+				if (n > arr.length || (!allowEnd && n === arr.length)) fail(i, op, "array index out of range");
+				return n;
+			}
+
+			function get(root, tokens, i, op) {
+				if (tokens.length === 0) return root;
+				const at = parent(root, tokens, i, op);
+				if (!Object.prototype.hasOwnProperty.call(at.node, at.key)) fail(i, op, "path does not exist");
+				return at.node[at.key];
+			}
+
+			function add(root, tokens, value, i, op) {
+				if (tokens.length === 0) return value;
+				const at = parent(root, tokens, i, op);
+				if (Array.isArray(at.node)) at.node.splice(index(at.node, at.key, i, op, true), 0, value);
+				else at.node[at.key] = value;
+				return root;
+			}
+
+			function remove(root, tokens, i, op) {
+				if (tokens.length === 0) fail(i, op, "cannot remove the root");
+				const at = parent(root, tokens, i, op);
+				if (Array.isArray(at.node)) {
+					at.node.splice(index(at.node, at.key, i, op, false), 1);
+				} else {
+					if (!Object.prototype.hasOwnProperty.call(at.node, at.key)) fail(i, op, "path does not exist");
+					delete at.node[at.key];
+				}
+				return root;
+			}
+
+			function run(root) {
+				for (let i = 0; i < ops.length; i++) {
+					const op = ops[i];
+					if (!op || typeof op !== "object") fail(i, op, "is not an operation");
+
+					let tokens;
+					let from;
+					try {
+						tokens = _ptrParse(op.path);
+						if (op.op === "move" || op.op === "copy") from = _ptrParse(op.from);
+					} catch (e) {
+						fail(i, op, e.message);
+					}
+
+					switch (op.op) {
+						case "add":
+							root = add(root, tokens, _deepClone(op.value, "applyPatch"), i, op);
+							break;
+						case "remove":
+							root = remove(root, tokens, i, op);
+							break;
+						case "replace":
+							get(root, tokens, i, op); // must exist
+							if (tokens.length === 0) { root = _deepClone(op.value, "applyPatch"); break; }
+							{
+								const at = parent(root, tokens, i, op);
+								at.node[Array.isArray(at.node) ? index(at.node, at.key, i, op, false) : at.key] = _deepClone(op.value, "applyPatch");
+							}
+							break;
+						case "move": {
+							if (String(op.path).indexOf(String(op.from) + "/") === 0) fail(i, op, "cannot move into its own child");
+							const v = _raw(get(root, from, i, op)); // a bind proxy must not end up inside the raw data
+							root = remove(root, from, i, op);
+							root = add(root, tokens, v, i, op);
+							break;
+						}
+						case "copy":
+							root = add(root, tokens, _deepClone(get(root, from, i, op), "applyPatch"), i, op);
+							break;
+						case "test":
+							if (!base.deepEqual(get(root, tokens, i, op), op.value)) fail(i, op, "test failed");
+							break;
+						default:
+							fail(i, op, "unknown op");
+					}
+				}
+				return root;
+			}
+
+			run(_deepClone(obj, "applyPatch")); // dry run: throws before anything real changes
+			return run(obj);
+		});
+
+		//this just attaches defineLocked to base
+		//-hot reload mounts: module slots are loader-owned accessors (see hotSlots),
+		// so a locked slot is filled once per start instead of frozen forever
+		defineLocked(base, "defineLocked", function defineLockedSlot(obj, key, value) {
+			const slots = hotSlots.get(system);
+			if (obj === system && slots && Object.prototype.hasOwnProperty.call(slots, key)) {
+				if (slots[key] != null) throw new TypeError("Cannot redefine property: " + key);
+				slots[key] = value;
+				return;
+			}
+			defineLocked(obj, key, value);
+		});
+		
+		//return base
+		return base;
+	}
+
+	/********************************************************************
+	 * loader @private _trustedTypesPolicy
+	 * -creates the page-level "ezweb" policy once (names are page-global)
+	 * -each sink passes the mount's rules as the extra policy argument
+	 * @param {object} the scoped log
+	 * @returns {object|null} the policy, or null when Trusted Types are unavailable
+	 ********************************************************************/
+	function _trustedTypesPolicy(log) {
+		if (ttPolicy !== undefined) return ttPolicy;
+
+		ttPolicy = null;
+		const tt = (typeof window !== "undefined") ? window.trustedTypes : undefined;
+		if (!tt || typeof tt.createPolicy !== "function") {
+			log.debug("Trusted Types not supported by this browser; sinks receive plain strings");
+			return ttPolicy;
+		}
+
+		function rule(kind) {
+			return function (input, rules) {
+				const fn = rules ? rules[kind] : null;
+				return (typeof fn === "function") ? String(fn(String(input))) : String(input);
+			};
+		}
+
+		try {
+			ttPolicy = tt.createPolicy("ezweb", {
+				createHTML: rule("createHTML"),
+				createScript: rule("createScript"),
+				createScriptURL: rule("createScriptURL")
+			});
+		} catch (e) {
+			log.error("Trusted Types policy 'ezweb' could not be created (allow it in the trusted-types CSP directive)", e);
+		}
+		return ttPolicy;
+	}
+
+	/********************************************************************
+	 * Boot timeline (performance marks per pid)
+	 * - Seeded by loader and locked at system.base.measure / timeline
+	 * - Every span is also a performance.measure("ezWeb:<pid>:<name>")
+	 *   so it shows up in the browser's performance panel.
+	 * @param {object} the system object
+	 * @param {string} the pid the marks are named after
+	 ********************************************************************/
+	function addTimelineToBase(system, pid) {
+		const base = system.base;
+		const perf = (typeof performance !== "undefined" && typeof performance.now === "function") ? performance : null;
+		const entries = [];
+
+		function _now() { return perf ? perf.now() : Date.now(); }
+
+		function _record(name, start, outcome) {
+			const end = _now();
+			entries.push(Object.freeze({ name: name, start: start, duration: end - start, outcome: outcome }));
+
+			if (!perf || typeof perf.measure !== "function") return;
+			try {
+				perf.measure("ezWeb:" + pid + ":" + name, { start: start, end: end });
+			} catch (_) {
+				// user timing is best-effort (older browsers lack the options form)
+			}
+		}
+
+		/*******************************************************************
+		 * base measure
+		 * -runs fn and records how long it took on this app's timeline
+		 * -async-aware: a returned promise is timed until it settles
+		 * @param {string} the span name (e.g. "start:dom", "bind:compile")
+		 * @param {function} the work to time
+		 * @returns {any} whatever fn returns (same promise if async)
+		 *******************************************************************/
+		base.defineLocked(base, "measure", function measure(name, fn) {
+			const start = _now();
+			let out;
+			try {
+				out = fn();
+			} catch (e) {
+				_record(String(name), start, "error");
+				throw e;
+			}
+
+			if (out && typeof out.then === "function") {
+				return out.then(
+					(v) => { _record(String(name), start, "ok"); return v; },
+					(e) => { _record(String(name), start, "error"); throw e; }
+				);
+			}
+
+			_record(String(name), start, "ok");
+			return out;
+		});
+
+		/*******************************************************************
+		 * base timeline
+		 * -read-only copy of this app's boot spans, in the order they ended
+		 * @returns {object[]} [{ name, start, duration, outcome }] (ms)
+		 *******************************************************************/
+		base.defineLocked(base, "timeline", function timeline() {
+			return entries.slice();
+		});
+	}
+
+	/********************************************************************
+	 * CSP + Trusted Types helpers
+	 * - Seeded by loader and locked at system.base.*
+	 * - Modules route every HTML/script sink through these so apps can run
+	 *   under require-trusted-types-for 'script' and a nonce-based CSP.
+	 * @param {object} the system object
+	 ********************************************************************/
+	function addTrustToBase(system) {
+		const base = system.base;
+		const log = system.log.scope("ezWeb").scope("loader").scope("trust");
+
+		function _wrap(kind, value) {
+			const rules = system.options.trustedTypes;
+			if (!rules) return String(value);
+
+			const policy = _trustedTypesPolicy(log);
+			if (!policy) return String(value);
+			return policy[kind](String(value), base.isObj(rules) ? rules : null);
+		}
+
+		/*******************************************************************
+		 * base trustedHTML
+		 * -wraps a string for an HTML sink (innerHTML, srcdoc, ...)
+		 * @param {string} the html string
+		 * @returns {TrustedHTML|string} TrustedHTML when enabled, else the string
+		 *******************************************************************/
+		base.defineLocked(base, "trustedHTML", function trustedHTML(html) {
+			return _wrap("createHTML", html);
+		});
+
+		/*******************************************************************
+		 * base trustedScript
+		 * -wraps a string for a script sink (script text, on* attributes)
+		 * @param {string} the script source
+		 * @returns {TrustedScript|string} TrustedScript when enabled, else the string
+		 *******************************************************************/
+		base.defineLocked(base, "trustedScript", function trustedScript(src) {
+			return _wrap("createScript", src);
+		});
+
+		/*******************************************************************
+		 * base trustedScriptURL
+		 * -wraps a string for a script url sink (script src)
+		 * @param {string} the url
+		 * @returns {TrustedScriptURL|string} TrustedScriptURL when enabled, else the string
+		 *******************************************************************/
+		base.defineLocked(base, "trustedScriptURL", function trustedScriptURL(url) {
+			return _wrap("createScriptURL", url);
+		});
+
+		/*******************************************************************
+		 * base trustedAttr
+		 * -wraps an attribute value for el.setAttribute(name, value)
+		 * -only Trusted Types sinks are wrapped; everything else stays a string
+		 * @param {element} the element the attribute goes on
+		 * @param {string} the attribute name
+		 * @param {string} the attribute value
+		 * @returns {any} the value to pass to setAttribute
+		 *******************************************************************/
+		base.defineLocked(base, "trustedAttr", function trustedAttr(el, name, value) {
+			const attr = String(name || "").toLowerCase();
+			const tag = (el && el.tagName) ? el.tagName.toLowerCase() : "";
+
+			if (attr.indexOf("on") === 0) return base.trustedScript(value);
+			if (attr === "srcdoc" && tag === "iframe") return base.trustedHTML(value);
+			if (attr === "src" && tag === "script") return base.trustedScriptURL(value);
+			return String(value);
+		});
+
+		/*******************************************************************
+		 * base applyNonce
+		 * -puts options.cspNonce on a script/style/link the framework creates
+		 * @param {element} the element
+		 * @returns {element} the same element
+		 *******************************************************************/
+		base.defineLocked(base, "applyNonce", function applyNonce(el) {
+			const nonce = system.options.cspNonce;
+			if (nonce && el && !el.nonce) el.nonce = String(nonce);
+			return el;
+		});
+	}
+
+	/********************************************************************
+	 * loader @private _integrityFor
+	 * -looks up the pinned digest(s) for an asset in options.integrity
+	 * @param {object} the system object
+	 * @param {string} the absolute url of the resource
+	 * @returns {string} the SRI string ("sha384-... sha256-...") or ""
+	 ********************************************************************/
+	function _integrityFor(system, absUrl) {
+		const manifest = system.options.integrity;
+		if (!system.base.isObj(manifest)) return "";
+
+		// a hot reload copy (?ezReload=) keeps the pin of the module it replaces
+		const url = String(absUrl).replace(/([?&])ezReload=\d+(&|$)/, (m, pre, post) => (post ? pre : ""));
+
+		const keys = Object.keys(manifest);
+		for (let i = 0; i < keys.length; i++) {
+			if (system.base.toAbsUrl(keys[i]) === url) return String(manifest[keys[i]] || "").trim();
+		}
+		return "";
+	}
+
+	/********************************************************************
+	 * Asset loader (CSS + JS )
+	 * - Seeded by loader and locked at system.base.assets
+	 * @param {object} the object to attach the asset loader to
+	 ********************************************************************/
+	function addAssetLoaderToBase(system) {
+		//imports for this function
+		const base = system.base;
+		const log = system.log.scope("ezWeb").scope("loader").scope("assets");
+		function isArray(v) { return Array.isArray(v); }
+
+		//objects to keep track so we only load stuff once. 
+		const cssLoaded = Object.create(null); // absUrl -> true once the sheet actually loaded
+		const cssLoading = Object.create(null); // absUrl -> Promise<boolean> while it loads
+		const jsPromise = Object.create(null); // absUrl -> Promise<any>
+		
+		const SRI_ALGOS = { sha256: "SHA-256", sha384: "SHA-384", sha512: "SHA-512" };
+
+		/********************************************************************
+		 * @private _refuse
+		 * - logs an auditable integrity refusal (kept in log history)
+		 * @param {object} the scoped logger
+		 * @param {string} why the asset was refused
+		 * @param {object} audit details { url, expected, actual }
+		 ********************************************************************/
+		function _refuse(refuseLog, reason, details) {
+			const err = new Error("Integrity refusal: " + reason + ": " + details.url);
+			refuseLog.error("Integrity refusal: " + reason + ": " + details.url, { error: err, integrity: details });
+		}
+
+		/********************************************************************
+		 * @private _verifyText
+		 * - checks text against an SRI string with SubtleCrypto
+		 * - passes if ANY listed digest matches (same as the browser's SRI)
+		 * @param {string} the absolute url of the resource (for logs)
+		 * @param {string} the text to check
+		 * @param {string} the SRI string
+		 * @returns {Promise<boolean>} true when the text matches
+		 ********************************************************************/
+		async function _verifyText(absUrl, text, sri) {
+			const vLog = log.scope("integrity");
+			const subtle = (typeof crypto !== "undefined" && crypto.subtle) ? crypto.subtle : null;
+			if (!subtle) {
+				_refuse(vLog, "SubtleCrypto unavailable (insecure context?)", { url: absUrl, expected: sri, actual: null });
+				return false;
+			}
+
+			const bytes = new TextEncoder().encode(text);
+			const pins = sri.split(/\s+/);
+			const seen = Object.create(null); // algo -> actual digest
+			for (let i = 0; i < pins.length; i++) {
+				const dash = pins[i].indexOf("-");
+				const algo = pins[i].slice(0, dash).toLowerCase();
+				const expected = pins[i].slice(dash + 1).split("?")[0];
+				if (dash < 1 || !SRI_ALGOS[algo]) {
+					vLog.warn("Unsupported integrity value ignored: " + pins[i], { url: absUrl });
+					continue;
+				}
+
+				if (!seen[algo]) {
+					const digest = new Uint8Array(await subtle.digest(SRI_ALGOS[algo], bytes));
+					let bin = "";
+					for (let j = 0; j < digest.length; j++) bin += String.fromCharCode(digest[j]);
+					seen[algo] = algo + "-" + btoa(bin);
+				}
+
+				if (seen[algo] === algo + "-" + expected) {
+					vLog.debug("Integrity ok: " + absUrl);
+					return true;
+				}
+			}
+
+			const actual = Object.keys(seen).map(k => seen[k]).join(" ");
+			_refuse(vLog, "digest mismatch", { url: absUrl, expected: sri, actual: actual || null });
+			return false;
+		}
+
+		/********************************************************************
+		 * @private _fetchText
+		 * - gets text from a resource
+		 * - pinned resources are verified before the text is returned
+		 * @param {string} the absolute url or path of the resource
+		 * @returns {string} the text from the resource 
+		 ********************************************************************/
+		async function _fetchText(absUrl) {
+			const textLog = log.scope("fetchText");
+			const sri = _integrityFor(system, absUrl);
+			if (!sri && system.options.integrityRequired) {
+				_refuse(textLog, "no pin (integrityRequired)", { url: absUrl, expected: null, actual: null });
+				return "";
+			}
+
+			const res = await fetch(absUrl, { cache: system.options.cache || "no-cache" });
+			if (!res.ok) {
+				const err = new Error("Fetch failed: " + absUrl + " (" + res.status + ")");
+				textLog.error("Fetch failed: " + absUrl + " (" + res.status + ")", err);
 				return ""; //soft err, just continue
 			}
-			return await res.text();
+
+			const text = await res.text();
+			if (sri && !(await _verifyText(absUrl, text, sri))) return ""; // refused (logged)
+			return text;
 		}		
 
 		/********************************************************************
@@ -674,6 +2984,14 @@ const ezWeb = (function () {
 			}
 
 			if (cssLoaded[abs]) return true;
+			if (cssLoading[abs]) return await cssLoading[abs];
+
+			// Pinned CSS is checked by the browser (<link integrity>)
+			const sri = _integrityFor(system, abs);
+			if (!sri && system.options.integrityRequired) {
+				_refuse(cssLog, "no pin (integrityRequired)", { url: abs, expected: null, actual: null });
+				return false;
+			}
 
 			const existing = document.querySelector('link[rel="stylesheet"][href="' + abs.replace(/"/g, '\\"') + '"]');
 			if (existing) {
@@ -681,28 +2999,60 @@ const ezWeb = (function () {
 				return true;
 			}
 
-			cssLoaded[abs] = true;
-
-			return await new Promise((resolve) => {
-				const link = document.createElement("link");
+			// only a load that worked is remembered: a failed or refused one can be retried
+			const loading = new Promise((resolve) => {
+				const link = base.applyNonce(document.createElement("link"));
 				link.rel = "stylesheet";
+				if (sri) {
+					link.integrity = sri;
+					link.crossOrigin = "anonymous";
+				}
 				link.href = abs;
 				link.onload = () => {
+					cssLoaded[abs] = true;
 					cssLog.debug("CSS loaded: " + abs);
 					resolve(true);
 				};
 				link.onerror = () => {
+					link.remove(); // else the next try finds it as "existing"
 					const err = new Error("CSS failed: " + abs);
-					cssLog.error("CSS failed: " + abs, err);
+					cssLog.error("CSS failed: " + abs + (sri ? " (integrity pinned: " + sri + ")" : ""), err);
 					resolve(false);
 				};
 				document.head.appendChild(link);
 			});
+			cssLoading[abs] = loading;
+			try {
+				return await loading;
+			} finally {
+				delete cssLoading[abs];
+			}
+		}
+
+		/********************************************************************
+		 * @private _importPinned
+		 * -fetches + verifies module text, then imports it from a blob url
+		 * -blob modules cannot use relative imports (framework modules don't)
+		 * -under a CSP, script-src must allow blob: (nonces don't cover import())
+		 * @param {string} the absolute url of the module
+		 * @returns {Promise<object|null>} the module namespace, null when refused
+		 ********************************************************************/
+		async function _importPinned(abs) {
+			const text = await _fetchText(abs);
+			if (!text) return null; // fetch failed or refused (logged)
+
+			const blobUrl = URL.createObjectURL(new Blob([text + "\n//# sourceURL=" + abs], { type: "text/javascript" }));
+			try {
+				return await import(blobUrl);
+			} finally {
+				URL.revokeObjectURL(blobUrl);
+			}
 		}
 
 		/********************************************************************
 		 * @private _loadMod
 		 * -loads a js file into the page
+		 * -pinned (or integrityRequired) modules go through _importPinned
 		 * @param {string} the url or path of the resource
 		 * @param {string} the base (optional, to override the default)
 		 ********************************************************************/
@@ -717,7 +3067,13 @@ const ezWeb = (function () {
 				return null;
 			}
 
-			const mod = await import(abs);
+			const pinned = !!_integrityFor(system, abs) || !!system.options.integrityRequired;
+			const mod = pinned ? await _importPinned(abs) : await import(abs);
+			if (pinned && !mod) {
+				mLog.error("Module refused: " + abs, new Error("Integrity refusal: " + abs));
+				return null;
+			}
+
 			const startFn = mod && mod.default;
 
 			if (typeof startFn !== "function") {
@@ -780,163 +3136,1444 @@ const ezWeb = (function () {
 	}
 
 	/********************************************************************
-	 * Options pipeline: module defaults + App Developer module overrides
+	 * loader @private _phaseError
+	 * -wraps an app/module failure so the error boundary can route it
+	 * @param {string} the message
+	 * @param {any} what was thrown
+	 * @param {string} the phase (start | init | handler)
+	 * @param {string|null} the module it came from
+	 * @returns {Error} err with ezPhase, ezModule and cause
 	 ********************************************************************/
-	 
+	function _phaseError(msg, cause, phase, module) {
+		const err = new Error(msg);
+		err.cause = cause;
+		err.ezPhase = phase;
+		err.ezModule = module;
+		return err;
+	}
+
 	/********************************************************************
-	 * loader @private _ensureModuleOptions
-	 * -ensure module options exists, creates if not
-	 * @param {object} the object to attach the options to
-	 * @param {string} the name of the options category
-	 * @returns {object} null if parent does not exist, or the obj
+	 * loader @private _teardownModules
+	 * -runs the teardown hooks of the mount's modules (reverse start order)
+	 * -app hooks, the bus and the element stay in place (see _teardownMount)
+	 * @param {object} the mount record
+	 * @param {object} the scoped log
 	 ********************************************************************/
-	function _ensureModuleOptions(system, modName) {
-		return system.base.ensureObj(system.options, modName);
+	async function _teardownModules(mount, log) {
+		for (let i = mount.teardowns.length - 1; i >= 0; i--) {
+			const t = mount.teardowns[i];
+			if (mount.chain.indexOf(t.name) === -1) continue;
+			mount.teardowns.splice(i, 1);
+			try {
+				await t.fn();
+			} catch (e) {
+				log.error("Teardown failed: " + t.name, e);
+			}
+		}
 	}
 
 	/********************************************************************
-	 * loader @private _applyModuleOptions
-	 * -ensure merge user provided options into the defaults
-	 * @param {object} the system object
-	 * @param {string} the name of the options category
-	 * @param {object} the default options
-	 * @param {object} the user provided option
-	 * @returns {object} the merged options object
+	 * loader @private _handleAppError
+	 * -the mount's error boundary: calls options.onError, then applies
+	 *  options.errorPolicy[phase]
+	 *    halt     -> start/init: log.fatal (ezWeb() rejects, as before)
+	 *                handler:    the app's modules are torn down
+	 *    continue -> logged, the app keeps going
+	 *    fallback -> modules torn down, errorFallback rendered into appEl
+	 * -errors without a phase (developer mistakes) are rethrown untouched
+	 * -the error is logged here, once, under the scope it came from
+	 * @param {object} the mount record
+	 * @param {Error} the error (from _phaseError)
+	 * @param {string} optional log scope the error came from
+	 * @returns {Promise<string>} the policy applied
 	 ********************************************************************/
-	function _applyModuleOptions(system, modName, moduleDefaults, appOptions) {
-		const base = system.base;
-		const modOptions = _ensureModuleOptions(system, modName);
+	async function _handleAppError(mount, err, scope) {
+		if (!err || !err.ezPhase) throw err;
 
-		// defaults fill gaps only (do NOT overwrite user)
-		if (base.isObj(moduleDefaults)) base.mergeDefaultsDeep(modOptions, moduleDefaults);
+		const system = mount.system;
+		const log = system.log.scope("ezWeb").scope("loader").scope("errors");
+		const phase = err.ezPhase;
+		const cause = (err.cause !== undefined) ? err.cause : err;
 
-		// user overrides always win
-		if (base.isObj(appOptions) && base.isObj(appOptions[modName])) {
-			base.mergeDeep(modOptions, appOptions[modName]);
+		const policies = system.base.isObj(system.options.errorPolicy) ? system.options.errorPolicy : {};
+		const policy = policies[phase] || ERROR_POLICY_DEFAULTS[phase] || "halt";
+
+		if (typeof system.options.onError === "function") {
+			try {
+				system.options.onError(cause, { pid: mount.pid, module: err.ezModule || null, phase: phase, scope: scope || "" });
+			} catch (e) {
+				log.error("options.onError threw", e);
+			}
+		}
+
+		if (policy === "halt" && phase !== "handler") system.log.fatal(err.message, cause);
+
+		const errLog = scope ? system.log.scope(String(scope)) : log;
+		errLog.error(err.message + " (errorPolicy." + phase + "=" + policy + ")", cause);
+		if (policy === "continue") return policy;
+
+		await _teardownModules(mount, log);
+
+		if (policy === "fallback" && mount.appEl) {
+			const markup = String(system.options.errorFallback || "");
+			if (markup) mount.appEl.innerHTML = system.base.trustedHTML(markup);
+			else mount.appEl.textContent = "Something went wrong. Please reload the page.";
+		}
+
+		log.warn("App stopped by errorPolicy." + phase + "=" + policy + " (pid=" + mount.pid + ")");
+		return policy;
+	}
+
+	/********************************************************************
+	 * Error boundary hook for modules
+	 * - Seeded by loader and locked at system.base.reportError
+	 * @param {object} the system object
+	 * @param {object} the mount record
+	 ********************************************************************/
+	function addErrorBoundaryToBase(system, mount) {
+		const base = system.base;
+
+		/********************************************************************
+		 * base reportError
+		 * -hands a runtime error (e.g. an event handler) to the error boundary,
+		 *  which logs it: the caller doesn't log it again
+		 * @param {any} what was thrown
+		 * @param {object} { module, phase: "handler", scope, message? }
+		 * @returns {Promise<string>} the policy applied
+		 ********************************************************************/
+		base.defineLocked(base, "reportError", function reportError(err, ctx) {
+			const c = ctx || {};
+			const msg = (c.message != null) ? String(c.message) : String((err && err.message) || err);
+			const wrapped = _phaseError(msg, err, String(c.phase || "handler"), c.module || null);
+			return _handleAppError(mount, wrapped, c.scope).catch(() => {}); // never throws into the caller
+		});
+
+		/********************************************************************
+		 * base claimError
+		 * -marks an error as this app's, so captureGlobalErrors can attribute
+		 *  it if it ends up uncaught (dom handlers, net request rejections)
+		 * @param {any} the error
+		 * @returns {any} the same error
+		 ********************************************************************/
+		base.defineLocked(base, "claimError", function claimError(err) {
+			if (err && typeof err === "object" && !errorOwners.has(err)) errorOwners.set(err, mount.pid);
+			return err;
+		});
+	}
+
+	/********************************************************************
+	 * Lifecycle hooks (teardown)
+	 * - Seeded by loader and locked at system.base.onTeardown
+	 * - Hooks run in reverse registration order on ezWeb.unmount(pid),
+	 *   so modules tear down in reverse ladder order.
+	 * @param {object} the system object
+	 * @param {object} the mount record that owns the hooks
+	 ********************************************************************/
+	function addLifecycleToBase(system, mount) {
+		const base = system.base;
+		const log = system.log.scope("ezWeb").scope("loader").scope("lifecycle");
+
+		/********************************************************************
+		 * base onTeardown
+		 * -registers a teardown hook for this mount
+		 * @param {string} the owner name (module name, or app label)
+		 * @param {function} the hook, may return a Promise
+		 ********************************************************************/
+		base.defineLocked(base, "onTeardown", function onTeardown(name, fn) {
+			if (typeof fn !== "function") {
+				log.warn("onTeardown(): hook is not a function", { name: name });
+				return;
+			}
+			if (mount.closing === true) {
+				log.warn("onTeardown(): mount already torn down, hook ignored", { name: name });
+				return;
+			}
+			mount.teardowns.push({ name: String(name || ""), fn: fn });
+		});
+	}
+
+	/********************************************************************
+	 * loader @private _teardownMount
+	 * -runs every teardown hook (LIFO), never stops on a failing hook
+	 * -releases the mount element so it can be mounted again
+	 * @param {object} the mount record
+	 ********************************************************************/
+	async function _teardownMount(mount) {
+		if (mount.closing === true) return;
+		mount.closing = true; // no new hooks; bus.publish still works until the hooks ran
+
+		const log = mount.system.log.scope("ezWeb").scope("loader").scope("unmount");
+
+		for (let i = mount.teardowns.length - 1; i >= 0; i--) {
+			const t = mount.teardowns[i];
+			try {
+				await t.fn();
+				log.debug("Teardown complete: " + t.name);
+			} catch (e) {
+				log.error("Teardown failed: " + t.name, e);
+			}
+		}
+		mount.teardowns.length = 0;
+		mount.tornDown = true;
+
+		if (mount.appEl) startedMounts.delete(mount.appEl);
+		delete mounts[mount.pid];
+
+		log.info("Unmounted app (pid=" + mount.pid + ")");
+	}
+
+	/********************************************************************
+	 * Options pipeline: module defaults + App Developer module overrides
+	 ********************************************************************/
+	 
+	/********************************************************************
+	 * loader @private _ensureModuleOptions
+	 * -ensure module options exists, creates if not
+	 * @param {object} the object to attach the options to
+	 * @param {string} the name of the options category
+	 * @returns {object} null if parent does not exist, or the obj
+	 ********************************************************************/
+	function _ensureModuleOptions(system, modName) {
+		return system.base.ensureObj(system.options, modName);
+	}
+
+	/********************************************************************
+	 * loader @private _topicAllowed
+	 * -checks a topic against a bus allowlist
+	 * @param {string[]|null} the allowlist (null/undefined = everything)
+	 * @param {string} the topic
+	 * @returns {boolean}
+	 ********************************************************************/
+	function _topicAllowed(list, topic) {
+		if (!Array.isArray(list)) return true;
+		for (let i = 0; i < list.length; i++) {
+			const p = String(list[i]);
+			if (p === topic || p === "*") return true;
+			if (p.endsWith(".*") && topic.indexOf(p.slice(0, -1)) === 0) return true;
+		}
+		return false;
+	}
+
+	/********************************************************************
+	 * loader @private _persistLog
+	 * -options.logPersist: adds the "persist" transport so history
+	 *  survives a reload (read back with system.log.previousSession())
+	 * -the key defaults to the app element id, so each app keeps its own
+	 *  (an id autoBoot generated depends on page order: logPersist.key then)
+	 * @param {object} the system object
+	 * @param {element} the app element
+	 ********************************************************************/
+	function _persistLog(system, appEl) {
+		const p = (system.options.logPersist === true) ? {} : system.options.logPersist;
+		const key = p.key || ("ezWeb:log:" + appEl.id);
+		if (!p.key && autoIds.has(appEl)) {
+			system.log.scope("ezWeb").scope("log").warn("logPersist: '" + appEl.id + "' is a generated id and may name another app after a reload; set logPersist.key (or give the element an id)");
+		}
+		const common = { name: "persist", minLevel: p.minLevel, max: p.maxEntries, maxAgeMs: p.maxAgeMs };
+
+		const transport = (p.store === "indexedDB")
+			? system.log.transports.indexedDB(Object.assign({ dbName: key }, common))
+			: system.log.transports.sessionStorage(Object.assign({ key: key, maxBytes: p.maxBytes }, common));
+
+		system.log.addTransport(transport);
+	}
+
+	/********************************************************************
+	 * Global error capture (options.captureGlobalErrors)
+	 * - One page-level "error" (capture phase, so resource errors too) and
+	 *   "unhandledrejection" listener pair, installed while a mount wants it.
+	 * - An event belongs to a mount when its error was claimed by that
+	 *   mount (base.claimError: dom handlers, net requests), its target
+	 *   is inside the mount's appEl, or its stack runs through a module
+	 *   only that mount loaded. Those are ERRORs; anything else (third-party
+	 *   scripts, extensions) is only a WARN with attribution "unknown".
+	 ********************************************************************/
+	const captureMounts = new Set();
+	const errorOwners = new WeakMap(); // Error -> pid (base.claimError)
+	let captureListeners = null;
+
+	/********************************************************************
+	 * loader @private _describeTarget
+	 * @param {any} an event target
+	 * @returns {string|undefined} "<img#logo>" for elements
+	 ********************************************************************/
+	function _describeTarget(t) {
+		if (!t || typeof Node === "undefined" || !(t instanceof Node) || t.nodeType !== 1) return undefined;
+		return "<" + t.tagName.toLowerCase() + (t.id ? "#" + t.id : "") + ">";
+	}
+
+	/********************************************************************
+	 * loader @private _normalizeGlobalError
+	 * @param {Event} the error / unhandledrejection event
+	 * @param {string} "error" | "unhandledrejection"
+	 * @returns {object} { name, message, stack, source, filename?, lineno?, colno?, target? }
+	 ********************************************************************/
+	function _normalizeGlobalError(ev, source) {
+		const err = (source === "unhandledrejection") ? ev.reason : ev.error;
+		const isErr = err instanceof Error;
+		const out = {
+			name: isErr ? err.name : (source === "unhandledrejection" ? "UnhandledRejection" : "Error"),
+			// cross-origin "Script error." events carry error: null
+			message: isErr ? err.message : (err != null ? String(err) : (ev.message || "Resource failed to load")),
+			stack: isErr ? err.stack : undefined,
+			source: source
+		};
+		if (ev.filename) {
+			out.filename = ev.filename;
+			out.lineno = ev.lineno;
+			out.colno = ev.colno;
+		}
+		const target = _describeTarget(ev.target);
+		if (target) out.target = target;
+		return out;
+	}
+
+	/********************************************************************
+	 * loader @private _ownersOf
+	 * @param {Event} the event
+	 * @param {any} the thrown error / rejection reason
+	 * @returns {object} { mounts: mount[], attribution: "claimed"|"target"|"stack"|"unknown" }
+	 ********************************************************************/
+	function _ownersOf(ev, err) {
+		if (err && typeof err === "object" && errorOwners.has(err)) {
+			const m = mounts[errorOwners.get(err)];
+			if (m && captureMounts.has(m)) return { mounts: [m], attribution: "claimed" };
+			return { mounts: [], attribution: "claimed" }; // another app's, not capturing
+		}
+
+		const t = ev.target;
+		if (t && typeof Node !== "undefined" && t instanceof Node) {
+			for (const m of captureMounts) {
+				if (m.appEl && m.appEl.contains(t)) return { mounts: [m], attribution: "target" };
+			}
+		}
+
+		// stack (or the error event's file) through a module url only one capturing mount loaded
+		const trace = [(err && typeof err === "object" && typeof err.stack === "string") ? err.stack : "", ev.filename || ""].join("\n");
+		if (trace.trim() !== "") {
+			const hits = Array.from(captureMounts).filter((m) => {
+				const urls = m.urls ? Object.keys(m.urls).map(k => m.urls[k]) : [];
+				return urls.some(u => typeof u === "string" && u !== "" && trace.indexOf(u) !== -1);
+			});
+			if (hits.length === 1) return { mounts: hits, attribution: "stack" };
+		}
+
+		return { mounts: Array.from(captureMounts), attribution: "unknown" };
+	}
+
+	/********************************************************************
+	 * loader @private _onGlobalError
+	 * -records the event on its owning mount(s); never prevents the
+	 *  browser's own console output
+	 * @param {Event} the event
+	 * @param {string} "error" | "unhandledrejection"
+	 ********************************************************************/
+	function _onGlobalError(ev, source) {
+		try {
+			const err = (source === "unhandledrejection") ? ev.reason : ev.error;
+			const owners = _ownersOf(ev, err);
+			const info = _normalizeGlobalError(ev, source);
+			info.attribution = owners.attribution;
+
+			const label = (source === "unhandledrejection") ? "Unhandled rejection: " : (err === undefined && info.target ? "Resource error: " : "Uncaught error: ");
+			const level = (owners.attribution === "unknown") ? LEVELS.WARN : LEVELS.ERROR; // maybe not ours at all
+			owners.mounts.forEach((m) => {
+				m.system.log.scope("ezWeb").scope("global")(label + info.message, level, Object.assign({ pid: m.pid }, info));
+			});
+		} catch (_) {}
+	}
+
+	/********************************************************************
+	 * loader @private _captureGlobalErrors
+	 * -adds the mount to the capture set (listeners on first one)
+	 * -the listeners go away with the last capturing mount (unmount)
+	 * @param {object} the mount record
+	 ********************************************************************/
+	function _captureGlobalErrors(mount) {
+		if (typeof window === "undefined" || typeof window.addEventListener !== "function") return;
+
+		captureMounts.add(mount);
+		if (!captureListeners) {
+			captureListeners = {
+				error: (ev) => _onGlobalError(ev, "error"),
+				rejection: (ev) => _onGlobalError(ev, "unhandledrejection")
+			};
+			window.addEventListener("error", captureListeners.error, true);
+			window.addEventListener("unhandledrejection", captureListeners.rejection);
+		}
+
+		mount.system.base.onTeardown("globalErrors", function teardown() {
+			captureMounts.delete(mount);
+			if (captureMounts.size === 0 && captureListeners) {
+				window.removeEventListener("error", captureListeners.error, true);
+				window.removeEventListener("unhandledrejection", captureListeners.rejection);
+				captureListeners = null;
+			}
+		});
+	}
+
+	/********************************************************************
+	 * Message bus (between mounted apps)
+	 * - Seeded by loader and locked at system.bus
+	 * - Topics are page-level; payloads are structuredClone'd per subscriber
+	 *   and delivered async, so apps never share live objects.
+	 * - Every publish + delivery is logged under ezWeb.bus (see log.history()).
+	 * @param {object} the system object
+	 * @param {object} the mount record
+	 ********************************************************************/
+	function addBusToSystem(system, mount) {
+		const base = system.base;
+		const log = system.log.scope("ezWeb").scope("bus");
+		const mine = new Map(); // this mount's subscriptions: sub -> topic
+
+		function _allowlist(kind) {
+			const opts = system.options.bus;
+			return base.isObj(opts) ? opts[kind] : null;
+		}
+
+		// a malformed topic is refused (logged), it doesn't throw into the caller
+		function _checkTopic(fnName, topic) {
+			if (typeof topic !== "string" || topic.trim() === "") {
+				log.error(fnName + "(): topic must be a non-empty string", { topic: String(topic), pid: mount.pid });
+				return false;
+			}
+			return true;
+		}
+
+		const bus = Object.create(null);
+
+		/********************************************************************
+		 * bus publish
+		 * -sends a payload to every subscriber of topic (all mounts)
+		 * @param {string} the topic
+		 * @param {any} the payload (must be structured-cloneable)
+		 * @returns {number} how many subscribers it was queued for, -1 if refused
+		 ********************************************************************/
+		base.defineLocked(bus, "publish", function publish(topic, payload) {
+			if (!_checkTopic("publish", topic)) return -1;
+
+			if (mount.tornDown === true) {
+				log.warn("publish(): app is unmounted, message dropped", { topic: topic, pid: mount.pid });
+				return -1;
+			}
+			if (!_topicAllowed(_allowlist("publish"), topic)) {
+				log.warn("publish(): topic not in this app's bus.publish allowlist", { topic: topic, pid: mount.pid });
+				return -1;
+			}
+
+			let snapshot;
+			try {
+				snapshot = structuredClone(payload);
+			} catch (e) {
+				log.error("publish(): payload is not structured-cloneable", { topic: topic, error: e });
+				return -1;
+			}
+
+			const subs = busTopics[topic] ? Array.from(busTopics[topic]) : [];
+			// topic only: payloads can carry secrets, and history keeps DEBUG entries
+			if (log.enabled(log.DEBUG)) log.debug("publish " + topic + " (from pid=" + mount.pid + ", " + subs.length + " subscriber(s))");
+
+			for (let i = 0; i < subs.length; i++) {
+				const sub = subs[i];
+				const copy = (i === 0) ? snapshot : structuredClone(snapshot);
+				queueMicrotask(() => sub.deliver(topic, copy, mount.pid));
+			}
+			return subs.length;
+		});
+
+		/********************************************************************
+		 * bus subscribe
+		 * -listens for a topic published by any mount (including this one)
+		 * @param {string} the topic
+		 * @param {function} handler(payload, { topic, from })
+		 * @returns {function} unsubscribe()
+		 ********************************************************************/
+		base.defineLocked(bus, "subscribe", function subscribe(topic, fn) {
+			if (!_checkTopic("subscribe", topic)) return function unsubscribe() {};
+			if (typeof fn !== "function") log.fatal("subscribe(): handler must be a function");
+
+			if (!_topicAllowed(_allowlist("subscribe"), topic)) {
+				log.warn("subscribe(): topic not in this app's bus.subscribe allowlist", { topic: topic, pid: mount.pid });
+				return function unsubscribe() {};
+			}
+
+			const sub = {
+				pid: mount.pid,
+				deliver: function (t, payload, from) {
+					if (!busTopics[t] || !busTopics[t].has(sub)) return; // unsubscribed while queued
+					log.debug("deliver " + t + " (from pid=" + from + " to pid=" + mount.pid + ")");
+					try {
+						fn(payload, { topic: t, from: from });
+					} catch (e) {
+						log.error("Subscriber threw for topic: " + t, e);
+					}
+				}
+			};
+
+			if (!busTopics[topic]) busTopics[topic] = new Set();
+			busTopics[topic].add(sub);
+			mine.set(sub, topic);
+			log.debug("subscribe " + topic + " (pid=" + mount.pid + ")");
+
+			return function unsubscribe() {
+				const set = busTopics[topic];
+				mine.delete(sub);
+				if (!set || !set.delete(sub)) return;
+				if (set.size === 0) delete busTopics[topic];
+				log.debug("unsubscribe " + topic + " (pid=" + mount.pid + ")");
+			};
+		});
+
+		defineLocked(system, "bus", bus);
+
+		// first hook registered => last to run, after modules that may still publish
+		base.onTeardown("bus", function teardown() {
+			mine.forEach((topic, sub) => {
+				const set = busTopics[topic];
+				if (!set) return;
+				set.delete(sub);
+				if (set.size === 0) delete busTopics[topic];
+			});
+			mine.clear();
+		});
+	}
+
+	/********************************************************************
+	 * loader @private _isThenable
+	 * -true for Promises and promise-likes (anything with .then)
+	 * @param {any} the value to check
+	 * @returns {boolean}
+	 ********************************************************************/
+	function _isThenable(v) {
+		return !!v && (typeof v === "object" || typeof v === "function") && typeof v.then === "function";
+	}
+
+	/********************************************************************
+	 * loader @private _awaitWithTimeout
+	 * -awaits a thenable, rejects with err.ezTimeout = true after ms
+	 * @param {Promise} the promise to wait on
+	 * @param {number} timeout in ms (0 or less = no timeout)
+	 * @param {string} label used in the timeout message
+	 * @returns {Promise<any>} the settled value
+	 ********************************************************************/
+	function _awaitWithTimeout(promise, ms, label) {
+		if (!(ms > 0)) return Promise.resolve(promise);
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				const err = new Error(label + " timed out after " + ms + "ms");
+				err.ezTimeout = true;
+				reject(err);
+			}, ms);
+
+			Promise.resolve(promise).then(
+				(v) => { clearTimeout(timer); resolve(v); },
+				(e) => { clearTimeout(timer); reject(e); }
+			);
+		});
+	}
+
+	/********************************************************************
+	 * loader @private _startTimeoutFor
+	 * -per-module startTimeout wins over the root option
+	 * @param {object} the system object
+	 * @param {string} the name of module
+	 * @returns {number} timeout in ms
+	 ********************************************************************/
+	function _startTimeoutFor(system, name) {
+		const base = system.base;
+		const modOptions = system.options[name];
+		if (base.isObj(modOptions) && modOptions.startTimeout != null) return base.toNumber(modOptions.startTimeout);
+		return base.toNumber(system.options.startTimeout);
+	}
+
+	/********************************************************************
+	 * loader @private _typeOf
+	 * -schema type name of a value
+	 * @param {any} the value
+	 * @returns {string} null|array|object|string|number|boolean|function|undefined|...
+	 ********************************************************************/
+	function _typeOf(v) {
+		if (v === null) return "null";
+		if (Array.isArray(v)) return "array";
+		return typeof v;
+	}
+
+	/********************************************************************
+	 * loader @private _validateOptions
+	 * -checks options against a schema (LOADER_SCHEMA or start.schema)
+	 * -unknown keys + deprecated keys warn, type/enum/range errors are fatal
+	 * @param {object} the scoped log
+	 * @param {object} the merged options to check
+	 * @param {object} the schema { key: spec }
+	 * @param {string} the dotted path so far (for messages)
+	 * @param {object} what the App Developer passed (deprecations only warn for these)
+	 * @param {object} extra settings { additional, skip: string[] }
+	 ********************************************************************/
+	function _validateOptions(log, value, schema, path, given, extra) {
+		const additional = extra && extra.additional;
+		const skip = (extra && extra.skip) || [];
+		const keys = Object.keys(value);
+
+		for (let i = 0; i < keys.length; i++) {
+			const key = keys[i];
+			if (skip.indexOf(key) !== -1) continue;
+
+			const at = path ? path + "." + key : key;
+			const v = value[key];
+			const spec = Object.prototype.hasOwnProperty.call(schema, key) ? schema[key] : (_typeOf(additional) === "object" ? additional : null);
+
+			if (!spec) {
+				if (additional !== true) log.warn("Unknown option '" + at + "' (typo?)", { value: v });
+				continue;
+			}
+
+			const userSet = !!given && typeof given === "object" && Object.prototype.hasOwnProperty.call(given, key);
+			if (spec.deprecated && userSet) {
+				log.warn("Deprecated option '" + at + "': " + String(spec.deprecated));
+			}
+
+			_checkOption(log, at, v, spec);
+
+			if (spec.props && _typeOf(v) === "object") {
+				_validateOptions(log, v, spec.props, at, userSet ? given[key] : null, { additional: spec.additional });
+			}
+		}
+	}
+
+	/********************************************************************
+	 * loader @private _checkOption
+	 * -checks one value against its spec (fatal on mismatch)
+	 * @param {object} the scoped log
+	 * @param {string} the dotted option path
+	 * @param {any} the value
+	 * @param {object} the spec { type, enum, min, max }
+	 ********************************************************************/
+	function _checkOption(log, at, v, spec) {
+		if (spec.type && spec.type !== "any") {
+			const types = Array.isArray(spec.type) ? spec.type : [spec.type];
+			const got = _typeOf(v);
+			if (types.indexOf(got) === -1) {
+				log.fatal("Invalid option '" + at + "': expected " + types.join("|") + ", got " + got, { value: v });
+			}
+		}
+
+		if (Array.isArray(spec.enum) && spec.enum.indexOf(v) === -1) {
+			log.fatal("Invalid option '" + at + "': expected one of " + spec.enum.map(e => JSON.stringify(e)).join(", "), { value: v });
+		}
+
+		if (typeof v === "number") {
+			if (typeof spec.min === "number" && v < spec.min) log.fatal("Invalid option '" + at + "': must be >= " + spec.min, { value: v });
+			if (typeof spec.max === "number" && v > spec.max) log.fatal("Invalid option '" + at + "': must be <= " + spec.max, { value: v });
+		}
+	}
+
+	/********************************************************************
+	 * loader @private _applyModuleOptions
+	 * -ensure merge user provided options into the defaults
+	 * @param {object} the system object
+	 * @param {string} the name of the options category
+	 * @param {object} the default options
+	 * @param {object} the user provided option
+	 * @returns {object} the merged options object
+	 ********************************************************************/
+	function _applyModuleOptions(system, modName, moduleDefaults, appOptions) {
+		const base = system.base;
+		const modOptions = _ensureModuleOptions(system, modName);
+
+		// defaults fill gaps only (do NOT overwrite user)
+		if (base.isObj(moduleDefaults)) base.mergeDefaultsDeep(modOptions, moduleDefaults);
+
+		// user overrides always win
+		if (base.isObj(appOptions) && base.isObj(appOptions[modName])) {
+			base.mergeDeep(modOptions, appOptions[modName]);
 		}
 
 		return modOptions;
 	}
 
 	/********************************************************************
-	 * loader @private _resolveModuleRelUrl
-	 * -takes module name and builds its path from the module base path 
-	 * @param {object} the system object
-	 * @param {string} the name of module
-	 * @returns {string} path of the module file
+	 * loader @private _resolveModuleRelUrl
+	 * -takes module name and builds its path from the module base path 
+	 * @param {object} the system object
+	 * @param {string} the name of module
+	 * @returns {string} path of the module file
+	 ********************************************************************/
+	function _resolveModuleRelUrl(system, name) {
+		if (registered[name]) return registered[name].url; // absolute, pinned at register()
+		const file = MODULE_FILES[name];
+		if (!file) return null;
+		const mp = system.base.ensureSlash(system.options.modulesPath);
+		return system.base.joinUrl(mp, file);
+	}
+
+	/********************************************************************
+	 * loader @private _moduleAbsUrl
+	 * -the absolute url a mount loads a module from
+	 * @param {object} the system object
+	 * @param {string} the name of module
+	 * @returns {string} absolute url ("" if the module has no file)
+	 ********************************************************************/
+	function _moduleAbsUrl(system, name) {
+		const relUrl = _resolveModuleRelUrl(system, name);
+		if (!relUrl) return "";
+		return system.base.toAbsUrl(relUrl, system.options.frameworkBaseUrl);
+	}
+
+	/********************************************************************
+	 * loader @private _moduleCacheKey
+	 * -moduleStartCache is keyed by absolute url + integrity policy, so a
+	 *  pinned (or integrityRequired) mount never reuses an unchecked load
+	 * @param {object} the system object
+	 * @param {string} the absolute module url
+	 * @returns {string} the cache key
+	 ********************************************************************/
+	function _moduleCacheKey(system, abs) {
+		const sri = _integrityFor(system, abs);
+		return abs + (sri ? " " + sri : (system.options.integrityRequired ? " required" : ""));
+	}
+
+	/********************************************************************
+	 * loader @private _loadModuleStart
+	 * -takes module name and returns it's start function
+	 * @param {object} the system object
+	 * @param {string} the name of module
+	 * @returns {function} the start function
+	 ********************************************************************/
+	async function _loadModuleStart(system, name) {
+		const log = system.log.scope("ezWeb").scope("loader").scope("loadModuleStart");
+		const abs = _moduleAbsUrl(system, name);
+
+		if (!abs) {
+			system.log.fatal("No module file configured for: " + name);
+		}
+
+		// keyed by absolute url: mounts with another modulesPath/frameworkBaseUrl get their own copy
+		const cacheKey = _moduleCacheKey(system, abs);
+		if (moduleStartCache[cacheKey]) return await moduleStartCache[cacheKey];
+
+		const loading = (async () => {
+			log.debug("Loading module: " + name + " (" + abs + ")");
+
+			let startFn;
+			try {
+				startFn = await system.base.assets.loadMod(abs);
+				if (typeof startFn !== "function") system.log.fatal("Module did not export start(system): " + name);
+
+				if (typeof startFn !== "function") {
+					system.log.fatal("Module did not register start(system): " + name);
+				}
+			} catch (e) {
+				system.log.fatal("Failed to load module script: " + name + " (" + abs + ")", e);
+			}
+
+			if (typeof startFn !== "function") {
+				system.log.fatal("Module did not return start(system): " + name);
+			}
+
+			return startFn;
+		})();
+
+		// a failed load is not remembered: the next mount tries again
+		moduleStartCache[cacheKey] = loading;
+		loading.catch(() => {
+			if (moduleStartCache[cacheKey] === loading) delete moduleStartCache[cacheKey];
+		});
+
+		return await loading;
+	}
+
+	/********************************************************************
+	 * loader @private _parseArgs
+	 * -parses the ezWeb start function arguments for overloading
+	 * -("myEL,"dom",function) gets expanded to
+	 * -("myEL,"dom",null,null,function)
+	 * @param {string} the app element ID
+	 * @param {string} the name of the top module in the tree to load
+	 * -everything under it loads, you specify the head of the totem pole
+	 * @param {object} optional initial data
+	 * @param {object} optional initial options
+	 * @param {function} optional init function
+	 * @returns {object} normalized argument string  with nulls inserted
+	 ********************************************************************/
+	function _parseArgs(appElementId, topModule, a3, a4, a5) {
+		// ezWeb(appElId, topMod, appData?, appOptions?, appInit?)
+		let appData = {};
+		let appOptions = {};
+		let appInit = null;
+
+		if (typeof a3 === "function") {
+			appInit = a3;
+			return { appElementId, topModule, appData, appOptions, appInit };
+		}
+		
+		if (typeof a4 === "function") {
+			appData = a3 || {};
+			appInit = a4;
+			return { appElementId, topModule, appData, appOptions, appInit };
+		}
+
+		if (typeof a5 === "function") {
+			appData = a3 || {};
+			appOptions = a4 || {};
+			appInit = a5;
+			return { appElementId, topModule, appData, appOptions, appInit };
+		}
+
+		appData = a3 || {};
+		appOptions = a4 || {};
+		appInit = (typeof a5 === "function") ? a5 : null;
+
+		return { appElementId, topModule, appData, appOptions, appInit };
+	}
+
+	/********************************************************************
+	 * loader @private _moduleDeps
+	 * -reads declared dependencies off a start function
+	 * -no start.requires => the rung below on the ladder (legacy contract)
+	 * @param {string} the name of module
+	 * @param {function} the start function
+	 * @param {string} "requires" or "optional"
+	 * @returns {string[]} dependency names
+	 ********************************************************************/
+	function _moduleDeps(name, startFn, kind) {
+		const declared = startFn ? startFn[kind] : undefined;
+
+		if (Array.isArray(declared)) return declared.map(String);
+
+		if (kind === "requires" && declared === undefined) {
+			const idx = TREE.indexOf(name);
+			return (idx > 0) ? [TREE[idx - 1]] : [];
+		}
+
+		return [];
+	}
+
+	/********************************************************************
+	 * Capabilities (registered modules)
+	 * - A registered module may declare start.capabilities; it then starts
+	 *   against an attenuated view of the system bag instead of the bag itself.
+	 *     "dom"                 system.dom, system.appEl, the trusted* helpers + applyNonce
+	 *     "bus"                 system.bus
+	 *     "assets:load"         system.base.assets
+	 *     "net:<url prefix>"    system.net (and dom.ajax & co) for matching urls only ("net:*" = any)
+	 *     "data:read:<path>"    read system.data.<path> ("*" = everything)
+	 *     "data:write:<path>"   read + write system.data.<path>
+	 *     "<module>"            another module's API (e.g. "bind", or "net" unrestricted)
+	 * - Always granted: a write-only system.log (see _logView), system.pid, its own
+	 *   options (+ root scalars), pure base helpers, onTeardown, claimError, measure,
+	 *   timeline. Not reportError: errorPolicy "fallback" would let it wipe appEl.
+	 * - Anything else is refused: logged as a WARN, the access returns undefined
+	 *   (calls return null).
+	 ********************************************************************/
+	const BASE_ALWAYS = [
+		"toNumber", "isObj", "cloneShallow", "mergeDeep", "mergeDefaultsDeep", "ensureObj", "mergeApi",
+		"deepEqual", "diff", "applyPatch", "assert", "ensureSlash", "joinUrl", "toAbsUrl", "defineLocked",
+		"onTeardown", "claimError", "measure", "timeline"
+	];
+	const LOG_VIEW = [
+		"DEBUG", "INFO", "WARN", "ERROR", "FATAL", "NONE", "info", "warn", "debug", "error", "fatal",
+		"enabled", "time", "timeEnd", "end", "traceId", "spanId"
+	];
+	const BASE_DOM = ["trustedHTML", "trustedScript", "trustedScriptURL", "trustedAttr", "applyNonce"];
+	const NET_CALLS = ["ajax", "get", "post", "getJSON", "postJSON"];
+
+	/********************************************************************
+	 * loader @private _parseCapabilities
+	 * @param {string[]} start.capabilities
+	 * @param {object} the scoped log
+	 * @returns {object} { dom, bus, assets, net: string[], read: string[][], write: string[][], modules: string[] }
+	 ********************************************************************/
+	function _parseCapabilities(list, log) {
+		const caps = { dom: false, bus: false, assets: false, net: [], read: [], write: [], modules: [] };
+
+		for (let i = 0; i < list.length; i++) {
+			const c = String(list[i] || "").trim();
+			const m = /^data:(read|write):(.+)$/.exec(c);
+
+			if (c === "dom") caps.dom = true;
+			else if (c === "bus") caps.bus = true;
+			else if (c === "assets:load") caps.assets = true;
+			else if (c.indexOf("net:") === 0 && c.length > 4) caps.net.push(c.slice(4));
+			else if (m) {
+				const path = (m[2] === "*") ? [] : m[2].split(".");
+				caps[m[1]].push(path);
+			}
+			else if (TREE.indexOf(c) !== -1) caps.modules.push(c);
+			else log.warn("Unknown capability ignored: '" + c + "'");
+		}
+		return caps;
+	}
+
+	/********************************************************************
+	 * loader @private _refusing
+	 * -wraps a view so reads of known-but-not-granted keys are logged
+	 * @param {object} the granted view
+	 * @param {function} key -> capability hint ("" = not a known key)
+	 * @param {object} the scoped log
+	 * @param {string} label for messages ("system", "system.base", ...)
+	 * @returns {Proxy}
+	 ********************************************************************/
+	function _refusing(view, hintFor, log, label) {
+		return new Proxy(view, {
+			get(t, k) {
+				if (typeof k === "symbol" || k in t) return Reflect.get(t, k);
+				const hint = hintFor(k);
+				if (hint) log.warn("Capability refused: " + label + "." + k + " (declare '" + hint + "')");
+				return undefined;
+			}
+		});
+	}
+
+	/********************************************************************
+	 * loader @private _netGuard
+	 * -wraps a net-style call so only urls under a declared prefix go out
+	 * @param {object} the system object
+	 * @param {function} the real call (ajax/get/post/...)
+	 * @param {string} the call name (for messages)
+	 * @param {string[]} the allowed url prefixes
+	 * @param {object} the scoped log
+	 * @returns {function}
+	 ********************************************************************/
+	function _netGuard(system, fn, fnName, prefixes, log) {
+		return function guarded(a0, a1) {
+			const opts = (typeof a0 === "string") ? a1 : a0;
+			let url = (typeof a0 === "string") ? a0 : (a0 && a0.url);
+			if (!url && system.net) url = (system.net.ajaxSettings() || {}).url;
+
+			const baseOverride = (opts && typeof opts === "object" && typeof opts.baseUrl === "string") ? opts.baseUrl : system.options.appBaseUrl;
+			let abs = "";
+			try {
+				abs = new URL(system.base.toAbsUrl(String(url || ""), baseOverride)).href;
+			} catch (_) {
+				abs = "";
+			}
+
+			const ok = !!abs && prefixes.some((p) => {
+				if (p === "*") return true;
+				if (abs === p) return true;
+				return abs.indexOf(p) === 0 && (/[/?#]$/.test(p) || "/?#".indexOf(abs.charAt(p.length)) !== -1);
+			});
+
+			if (!ok) {
+				log.warn("Capability refused: net." + fnName + "(" + (abs || String(url)) + ") (declare 'net:<prefix>')");
+				return null;
+			}
+			return fn.apply(this, arguments);
+		};
+	}
+
+	/********************************************************************
+	 * loader @private _dataView
+	 * -a proxy over system.data exposing only the declared paths
+	 * @param {function} returns the current system.data
+	 * @param {object} parsed capabilities (read/write paths)
+	 * @param {object} the scoped log
+	 * @returns {Proxy}
+	 ********************************************************************/
+	function _dataView(getRoot, caps, log) {
+		const cache = new Map(); // "a.b" -> { obj, proxy }
+
+		function startsWith(a, b) {
+			if (b.length > a.length) return false;
+			for (let i = 0; i < b.length; i++) if (String(a[i]) !== b[i]) return false;
+			return true;
+		}
+
+		// "write" > "read" > "partial" (on the way to a granted path) > "none"
+		function access(path) {
+			let best = "none";
+			for (let i = 0; i < caps.write.length; i++) if (startsWith(path, caps.write[i])) return "write";
+			for (let i = 0; i < caps.read.length; i++) if (startsWith(path, caps.read[i])) best = "read";
+			if (best !== "none") return best;
+			const all = caps.read.concat(caps.write);
+			for (let i = 0; i < all.length; i++) if (startsWith(all[i], path.map(String))) return "partial";
+			return "none";
+		}
+
+		function wrap(obj, path) {
+			const key = path.join(".");
+			const hit = cache.get(key);
+			if (hit && hit.obj === obj) return hit.proxy;
+
+			const proxy = new Proxy(obj, {
+				get(t, k) {
+					if (typeof k === "symbol") return Reflect.get(t, k);
+					const p = path.concat(k);
+					const a = access(p);
+					if (a === "none") {
+						log.warn("Capability refused: read system.data." + p.join(".") + " (declare 'data:read:" + p.join(".") + "')");
+						return undefined;
+					}
+					const v = Reflect.get(t, k);
+					if (v && typeof v === "object") return wrap(v, p);
+					return (a === "partial") ? undefined : v;
+				},
+				set(t, k, v) {
+					const p = path.concat(String(k));
+					if (access(p) !== "write") {
+						log.warn("Capability refused: write system.data." + p.join(".") + " (declare 'data:write:" + p.join(".") + "')");
+						return true; // refused, not thrown
+					}
+					return Reflect.set(t, k, v);
+				},
+				deleteProperty(t, k) {
+					const p = path.concat(String(k));
+					if (access(p) !== "write") {
+						log.warn("Capability refused: delete system.data." + p.join(".") + " (declare 'data:write:" + p.join(".") + "')");
+						return true;
+					}
+					return Reflect.deleteProperty(t, k);
+				},
+				has(t, k) {
+					if (typeof k === "symbol") return Reflect.has(t, k);
+					return access(path.concat(k)) !== "none" && Reflect.has(t, k);
+				},
+				ownKeys(t) {
+					return Reflect.ownKeys(t).filter(k => typeof k === "symbol" || k === "length" || access(path.concat(k)) !== "none");
+				}
+			});
+
+			cache.set(key, { obj: obj, proxy: proxy });
+			return proxy;
+		}
+
+		return function dataView() {
+			const root = getRoot();
+			return (root && typeof root === "object") ? wrap(root, []) : root;
+		};
+	}
+
+	/********************************************************************
+	 * loader @private _inertDom
+	 * -the dom a capability-limited module sees: every call runs inside
+	 *  dom.withoutCompile, so inserted markup never gets ez* handlers or
+	 *  bindings (those run with the full system), and fn.__ezCompile is hidden
+	 * @param {object} the real system.dom
+	 * @param {object} the scoped log
+	 * @returns {function} the wrapped dom
 	 ********************************************************************/
-	function _resolveModuleRelUrl(system, name) {
-		const file = MODULE_FILES[name];
-		if (!file) return null;
-		const mp = system.base.ensureSlash(system.options.modulesPath);
-		return system.base.joinUrl(mp, file);
+	function _inertDom(dom, log) {
+		const proxies = new WeakMap(); // raw -> proxy
+		const raws = new WeakMap();    // proxy -> raw
+		const hold = (typeof dom.withoutCompile === "function") ? dom.withoutCompile : (fn => fn());
+		const HIDDEN = "__ezCompile";
+
+		function isSet(v) {
+			return !!v && typeof v === "object" && !!dom.fn && (v === dom.fn || Object.prototype.isPrototypeOf.call(dom.fn, v));
+		}
+
+		function unwrap(v) {
+			return (v && (typeof v === "object" || typeof v === "function") && raws.has(v)) ? raws.get(v) : v;
+		}
+
+		// locked own slots of the shadow (proxy invariants pin those to the shadow)
+		function pinned(shadow, k) {
+			const d = Reflect.getOwnPropertyDescriptor(shadow, k);
+			return d && d.configurable === false ? d : null;
+		}
+
+		function wrap(v) {
+			if (typeof v !== "function" && !isSet(v)) return v;
+			if (proxies.has(v)) return proxies.get(v);
+
+			// dom's slots are locked, so the proxy sits on a blank shadow (a locked
+			// slot would have to hand out the raw value) and forwards to v
+			const shadow = (typeof v === "function") ? function () {} : Object.create(null);
+
+			const proxy = new Proxy(shadow, {
+				get(t, k) {
+					if (k === HIDDEN) {
+						log.warn("Capability refused: system.dom.fn." + HIDDEN + " (declare 'bind')");
+						return undefined;
+					}
+					const pin = pinned(t, k);
+					if (pin && pin.writable === false) return pin.value;
+					return wrap(Reflect.get(v, k));
+				},
+				set(t, k, val) {
+					return Reflect.set(v, k, unwrap(val));
+				},
+				has(t, k) {
+					return k !== HIDDEN && Reflect.has(v, k);
+				},
+				deleteProperty(t, k) {
+					return !pinned(t, k) && Reflect.deleteProperty(v, k);
+				},
+				defineProperty(t, k, desc) {
+					if (!Reflect.defineProperty(v, k, desc)) return false;
+					if (desc.configurable === false) Reflect.defineProperty(t, k, desc); // e.g. defineLocked(dom.fn, ...)
+					return true;
+				},
+				ownKeys(t) {
+					const keys = Reflect.ownKeys(v).filter(k => k !== HIDDEN);
+					Reflect.ownKeys(t).forEach((k) => { if (pinned(t, k) && keys.indexOf(k) === -1) keys.push(k); });
+					return keys;
+				},
+				getOwnPropertyDescriptor(t, k) {
+					const pin = pinned(t, k);
+					if (pin) return pin;
+					if (k === HIDDEN) return undefined;
+					const d = Reflect.getOwnPropertyDescriptor(v, k);
+					if (!d) return undefined;
+					d.configurable = true;
+					if ("value" in d) d.value = wrap(d.value);
+					return d;
+				},
+				getPrototypeOf() {
+					const proto = Reflect.getPrototypeOf(v);
+					return isSet(proto) ? wrap(proto) : proto;
+				},
+				apply(t, self, args) {
+					return wrap(hold(() => Reflect.apply(v, unwrap(self), args.map(unwrap))));
+				},
+				construct(t, args) {
+					return wrap(hold(() => Reflect.construct(v, args.map(unwrap))));
+				}
+			});
+
+			proxies.set(v, proxy);
+			raws.set(proxy, v);
+			return proxy;
+		}
+
+		return wrap(dom);
 	}
 
 	/********************************************************************
-	 * loader @private _loadModuleStart
-	 * -takes module name and returns it's start function
+	 * loader @private _logView
+	 * -the logger a registered module with capabilities gets: it can log,
+	 *  scope and open spans, nothing else (no history/export/subscribe, no
+	 *  transports, no setLevel/close)
+	 * @param {function} a (scoped) logger
+	 * @returns {function} the write-only logger
+	 ********************************************************************/
+	function _logView(lg) {
+		const view = function (msg, lvl, obj) { return lg(msg, lvl, obj); };
+		LOG_VIEW.forEach((k) => { if (lg[k] !== undefined) view[k] = lg[k]; });
+		view.scope = sub => _logView(lg.scope(sub));
+		view.startSpan = (spanName, obj) => _logView(lg.startSpan(spanName, obj));
+		view.span = (spanName, fn) => lg.span(spanName, sl => fn(_logView(sl)));
+		if (typeof lg.run === "function") view.run = fn => lg.run(() => fn(view));
+		return Object.freeze(view);
+	}
+
+	/********************************************************************
+	 * loader @private _capabilityView
+	 * -builds the attenuated system bag a registered module starts against
 	 * @param {object} the system object
 	 * @param {string} the name of module
-	 * @returns {function} the start function
+	 * @param {string[]} start.capabilities
+	 * @returns {object} the view (a Proxy that logs refused reads)
 	 ********************************************************************/
-	async function _loadModuleStart(system, name) {
-		if (moduleStartCache[name]) return await moduleStartCache[name];
+	function _capabilityView(system, name, list) {
+		const log = system.log.scope("ezWeb").scope("capabilities").scope(name);
+		const caps = _parseCapabilities(list, log);
+		const base = system.base;
 
-		const log = system.log.scope("ezWeb").scope("loader").scope("loadModuleStart");
-		const relUrl = _resolveModuleRelUrl(system, name);
+		// base: pure helpers + this mount's own hooks, more by capability
+		const baseView = Object.create(null);
+		BASE_ALWAYS.forEach(k => { baseView[k] = base[k]; });
+		if (caps.dom) BASE_DOM.forEach(k => { baseView[k] = base[k]; });
+		if (caps.assets) baseView.assets = base.assets;
 
-		if (!relUrl) {
-			system.log.fatal("No module file configured for: " + name);
+		// options: own module options (live) + root scalars (copies)
+		const opts = Object.create(null);
+		Object.keys(system.options).forEach((k) => {
+			const v = system.options[k];
+			if (TREE.indexOf(k) === -1 && (typeof v === "string" || typeof v === "number" || typeof v === "boolean")) opts[k] = v;
+		});
+		opts[name] = system.options[name];
+
+		const netGuards = Object.create(null);
+		if (caps.net.length > 0) {
+			NET_CALLS.forEach((k) => {
+				netGuards[k] = function () {
+					const real = system.net || system.dom;
+					if (!real || typeof real[k] !== "function") return null;
+					return _netGuard(system, real[k], k, caps.net, log).apply(real, arguments);
+				};
+			});
 		}
 
-		moduleStartCache[name] = (async () => {
-			log.debug("Loading module: " + name);
+		// defineLocked on the view: other slots are refused + logged (not a TypeError)
+		let viewProxy = null;
+		baseView.defineLocked = function defineLocked(obj, key, value) {
+			if (obj === viewProxy && key !== name) {
+				log.warn("Capability refused: define system." + String(key));
+				return;
+			}
+			base.defineLocked(obj, key, value);
+		};
+
+		const view = Object.create(null);
+		Object.defineProperty(view, "log", { value: _logView(system.log.scope("")), enumerable: true });
+		Object.defineProperty(view, "pid", { value: system.pid, enumerable: true });
+		Object.defineProperty(view, "options", { value: Object.freeze(opts), enumerable: true });
+		Object.defineProperty(view, "base", {
+			value: _refusing(Object.freeze(baseView), k => (BASE_DOM.indexOf(k) !== -1 ? "dom" : (k === "assets" ? "assets:load" : "")), log, "system.base"),
+			enumerable: true
+		});
 
-			let startFn;
-			try {
-				startFn = await system.base.assets.loadMod(relUrl, system.options.frameworkBaseUrl);
-				if (typeof startFn !== "function") system.log.fatal("Module did not export start(system): " + name);
+		if (caps.read.length > 0 || caps.write.length > 0) {
+			const dataView = _dataView(() => system.data, caps, log);
+			Object.defineProperty(view, "data", { get: dataView, enumerable: true });
+		}
 
-				if (typeof startFn !== "function") {
-					system.log.fatal("Module did not register start(system): " + name);
+		if (caps.dom) {
+			Object.defineProperty(view, "appEl", { value: system.appEl, enumerable: true });
+			let domView = null;
+			Object.defineProperty(view, "dom", {
+				enumerable: true,
+				get: () => {
+					const dom = system.dom;
+					if (!dom) return dom;
+					if (domView && domView.dom === dom) return domView.view;
+					// dom.ajax & co are net calls: same rules as system.net
+					domView = {
+						dom: dom,
+						view: new Proxy(_inertDom(dom, log), {
+							get(t, k) {
+								if (NET_CALLS.indexOf(k) !== -1 || k === "ajaxSetup") {
+									if (netGuards[k]) return netGuards[k];
+									log.warn("Capability refused: system.dom." + String(k) + " (declare 'net:<prefix>')");
+									return undefined;
+								}
+								return Reflect.get(t, k);
+							}
+						})
+					};
+					return domView.view;
 				}
-			} catch (e) {
-				system.log.fatal("Failed to load module script: " + name + " (" + relUrl + ")", e);
-			}
+			});
+		}
 
-			if (typeof startFn !== "function") {
-				system.log.fatal("Module did not return start(system): " + name);
-			}
+		if (caps.bus) Object.defineProperty(view, "bus", { value: system.bus, enumerable: true });
 
-			return startFn;
-		})();
+		if (caps.modules.indexOf("net") === -1 && caps.net.length > 0) {
+			const netView = Object.create(null);
+			NET_CALLS.forEach(k => { netView[k] = netGuards[k]; });
+			netView.param = function param() { return system.net ? system.net.param.apply(system.net, arguments) : null; };
+			netView.ajaxSettings = function ajaxSettings() { return system.net ? system.net.ajaxSettings() : null; };
+			Object.defineProperty(view, "net", { value: Object.freeze(netView), enumerable: true });
+		}
+
+		caps.modules.forEach((m) => {
+			if (m === name) return;
+			Object.defineProperty(view, m, { get: () => system[m], enumerable: true });
+		});
+
+		function hintFor(k) {
+			if (k === "data") return "data:read:<path>";
+			if (k === "appEl" || k === "dom") return "dom";
+			if (k === "bus") return "bus";
+			if (k === "net") return "net:<prefix>";
+			if (TREE.indexOf(k) !== -1) return k;
+			return "";
+		}
 
-		return await moduleStartCache[name];
+		log.info("Module '" + name + "' starts with capabilities: " + (list.length ? list.join(", ") : "(none)"));
+
+		viewProxy = new Proxy(view, {
+			get(t, k) {
+				if (typeof k === "symbol" || k in t) return Reflect.get(t, k);
+				const hint = hintFor(k);
+				if (hint) log.warn("Capability refused: system." + k + " (declare '" + hint + "')");
+				return undefined;
+			},
+			defineProperty(t, k, desc) {
+				// a module may only publish its own slot
+				if (k !== name) {
+					log.warn("Capability refused: define system." + String(k));
+					return false;
+				}
+				return Reflect.defineProperty(t, k, desc);
+			},
+			set(t, k, v) {
+				log.warn("Capability refused: assign system." + String(k));
+				return true;
+			}
+		});
+		return viewProxy;
 	}
 
 	/********************************************************************
-	 * loader @private _parseArgs
-	 * -parses the ezWeb start function arguments for overloading
-	 * -("myEL,"dom",function) gets expanded to
-	 * -("myEL,"dom",null,null,function)
-	 * @param {string} the app element ID
-	 * @param {string} the name of the top module in the tree to load
-	 * -everything under it loads, you specify the head of the totem pole
-	 * @param {object} optional initial data
-	 * @param {object} optional initial options
-	 * @param {function} optional init function
-	 * @returns {object} normalized argument string  with nulls inserted
+	 * loader @private _startModule
+	 * -merges + validates module options, runs start(system) (awaiting
+	 *  async starts), fills the module slot
+	 * @param {object} the system object
+	 * @param {string} the name of module
+	 * @param {function} the start function
+	 * @param {object} the App Developer options passed to ezWeb()
 	 ********************************************************************/
-	function _parseArgs(appElementId, topModule, a3, a4, a5) {
-		// ezWeb(appElId, topMod, appData?, appOptions?, appInit?)
-		let appData = {};
-		let appOptions = {};
-		let appInit = null;
+	async function _startModule(system, name, startFn, appOptions) {
+		const log = system.log.scope("ezWeb").scope("loader");
 
-		if (typeof a3 === "function") {
-			appInit = a3;
-			return { appElementId, topModule, appData, appOptions, appInit };
+		// Merge module defaults + App Developer module overrides before start runs
+		const moduleDefaults = system.base.isObj(startFn.defaults) ? startFn.defaults : null;
+		_applyModuleOptions(system, name, moduleDefaults, appOptions);
+
+		// legacy options.<module>.debug: same as logLevels { "ezWeb.<module>": DEBUG }
+		if (system.options[name] && system.options[name].debug === true) {
+			const scope = "ezWeb." + name;
+			const levels = system.options.logLevels;
+			if (!levels || levels[scope] == null) system.log.setLevel(scope, system.log.DEBUG);
 		}
-		
-		if (typeof a4 === "function") {
-			appData = a3 || {};
-			appInit = a4;
-			return { appElementId, topModule, appData, appOptions, appInit };
+
+		// Module declared a schema: check the merged system.options[name]
+		if (system.base.isObj(startFn.schema)) {
+			const given = system.base.isObj(appOptions) ? appOptions[name] : null;
+			const schema = Object.assign(Object.create(null), MODULE_SCHEMA_BASE, startFn.schema);
+			_validateOptions(log.scope("options"), system.options[name], schema, name, given);
 		}
 
-		if (typeof a5 === "function") {
-			appData = a3 || {};
-			appOptions = a4 || {};
-			appInit = a5;
-			return { appElementId, topModule, appData, appOptions, appInit };
+		// Registered modules: attenuated system bag when they declare capabilities
+		let target = system;
+		if (registered[name]) {
+			if (Array.isArray(startFn.capabilities)) {
+				target = _capabilityView(system, name, startFn.capabilities);
+			} else if (system.options.requireCapabilities === true) {
+				log.fatal("Module '" + name + "' declares no start.capabilities (options.requireCapabilities)");
+			} else {
+				log.warn("Module '" + name + "' declares no start.capabilities: it runs with full system access");
+			}
 		}
 
-		appData = a3 || {};
-		appOptions = a4 || {};
-		appInit = (typeof a5 === "function") ? a5 : null;
+		// Start module (it should set system[name] itself OR return its API object)
+		const maybeApi = await system.base.measure("start:" + name, async () => {
+			let result;
+			try {
+				result = startFn(target);
+			} catch (e) {
+				throw _phaseError("Framework module crashed during start(): " + name, e, "start", name);
+			}
 
-		return { appElementId, topModule, appData, appOptions, appInit };
+			// Async start(): the next module waits until this one has settled
+			if (_isThenable(result)) {
+				const ms = _startTimeoutFor(system, name);
+				log.debug("Waiting on async start(): " + name + (ms > 0 ? " (timeout " + ms + "ms)" : ""));
+
+				try {
+					result = await _awaitWithTimeout(result, ms, name + " start()");
+				} catch (e) {
+					if (e && e.ezTimeout) throw _phaseError("Framework module start() timed out after " + ms + "ms: " + name, e, "start", name);
+					throw _phaseError("Framework module rejected during start(): " + name, e, "start", name);
+				}
+			}
+			return result;
+		});
+
+		// a view-started module published onto the view: lift it onto the real bag
+		const published = (target !== system) ? Object.getOwnPropertyDescriptor(target, name) : null;
+		if (published && published.value != null && system[name] == null) system.base.defineLocked(system, name, published.value);
+
+		if (maybeApi && system.base.isObj(maybeApi) && system[name] == null) system.base.defineLocked(system, name, maybeApi);
+		log.debug("Started module: " + name);
+	}
+
+	/********************************************************************
+	 * loader @private _startChain
+	 * -starts mount.chain in order (boot and ezWeb.reload)
+	 * -errorPolicy.start: halt throws, continue skips the module and the
+	 *  modules that require it, fallback stops here
+	 * @param {object} the mount record
+	 * @param {object} the scoped log
+	 * @returns {Promise<string>} "fallback" if the app was stopped, else "started"
+	 ********************************************************************/
+	async function _startChain(mount, log) {
+		const system = mount.system;
+		const chain = mount.chain;
+		const skipped = Object.create(null); // modules that did not start (errorPolicy.start "continue")
+
+		for (let i = 0; i < chain.length; i++) {
+			const name = chain[i];
+
+			// a module never starts on top of a required module that didn't
+			const missing = _moduleDeps(name, mount.starts[name], "requires").filter(d => skipped[d]);
+			if (missing.length > 0) {
+				skipped[name] = true;
+				log.warn("Skipped module '" + name + "': it requires '" + missing.join("', '") + "', which did not start");
+				continue;
+			}
+
+			try {
+				await _startModule(system, name, mount.starts[name], mount.appOptions);
+			} catch (e) {
+				if (await _handleAppError(mount, e) === "fallback") return "fallback";
+				skipped[name] = true;
+			}
+		}
+		return "started";
 	}
 
 	/********************************************************************
-	 * loader @private _resolveChain
-	 * -resolve module chain, uses logger defaulting to lowest module on unknown
+	 * loader @private _resolveGraph
+	 * -loads the requested modules plus everything they require
+	 * -topologically sorts them (requires + optional edges), ladder order breaks ties
+	 * -missing or circular dependencies are fatal and named in the message
 	 * @param {object} the system object
-	 * @param {string} the name of the top module in the tree to load
-	 * @returns {string[]} the module chain from lowest to specified top module
+	 * @param {string|string[]} the module(s) the app asked for
+	 * @returns {Promise<object>} { chain: string[], starts: { name -> startFn }, urls: { name -> absUrl } }
 	 ********************************************************************/
-	function _resolveChain(system, topModule) {
-		const log = system.log.scope("ezWeb").scope("loader").scope("resolveChain");
+	async function _resolveGraph(system, topModule) {
+		const log = system.log.scope("ezWeb").scope("loader").scope("resolveGraph");
+
+		let roots = Array.isArray(topModule) ? topModule.map(String) : (topModule ? [String(topModule)] : ["dom"]);
+		roots = roots.filter((r) => {
+			if (TREE.indexOf(r) !== -1) return true;
+			log.warn("Unknown top module '" + r + "'. Ignored.");
+			return false;
+		});
+		if (roots.length === 0) {
+			log.warn("No known top module. Falling back to 'dom'.");
+			roots = ["dom"];
+		}
 
-		if (!topModule) return ["dom"];
+		// 1) collect: load every module reachable through requires
+		const starts = Object.create(null);
+		const urls = Object.create(null);
+		const pending = roots.map(r => ({ name: r, requiredBy: null }));
 
-		const idx = TREE.indexOf(topModule);
-		if (idx === -1) {
-			log.warn("Unknown top module '" + topModule + "'. Falling back to 'dom'.");
-			return ["dom"];
+		while (pending.length > 0) {
+			const next = pending.shift();
+			const name = next.name;
+			if (starts[name]) continue;
+
+			if (TREE.indexOf(name) === -1) {
+				log.fatal("Missing module dependency '" + name + "' required by '" + next.requiredBy + "'");
+			}
+
+			starts[name] = await system.base.measure("load:" + name, () => _loadModuleStart(system, name));
+			urls[name] = _moduleAbsUrl(system, name);
+
+			const deps = _moduleDeps(name, starts[name], "requires");
+			for (let i = 0; i < deps.length; i++) pending.push({ name: deps[i], requiredBy: name });
+		}
+
+		// 2) sort: depth-first, optional deps count only when already loaded
+		const chain = [];
+		const state = Object.create(null); // name -> "visiting" | "done"
+
+		function visit(name, path) {
+			if (state[name] === "done") return;
+			if (state[name] === "visiting") {
+				const from = path.indexOf(name);
+				log.fatal("Circular module dependency: " + path.slice(from).concat(name).join(" -> "));
+			}
+
+			state[name] = "visiting";
+			const deps = _moduleDeps(name, starts[name], "requires")
+				.concat(_moduleDeps(name, starts[name], "optional").filter(d => !!starts[d]));
+			for (let i = 0; i < deps.length; i++) visit(deps[i], path.concat(name));
+			state[name] = "done";
+			chain.push(name);
 		}
 
-		return TREE.slice(0, idx + 1);
+		const names = Object.keys(starts).sort((a, b) => TREE.indexOf(a) - TREE.indexOf(b));
+		for (let i = 0; i < names.length; i++) visit(names[i], []);
+
+		log.debug("Resolved module chain: " + chain.join(" -> "));
+		return { chain: chain, starts: starts, urls: urls };
 	}
 
 	function makePid() {
@@ -947,8 +4584,8 @@ const ezWeb = (function () {
 	 * Public callable (App Developer entrypoint)
 	 * -starts the modules, runs the appInit function
 	 * @param {string} the app element ID
-	 * @param {string} the name of the top module in the tree to load
-	 * -everything under it loads, you specify the head of the totem pole
+	 * @param {string|string[]} the module(s) to load
+	 * -everything they require loads too (start.requires)
 	 * @param {object} optional initial data
 	 * @param {object} optional initial options
 	 * @param {function} optional init function
@@ -969,17 +4606,37 @@ const ezWeb = (function () {
 		// Seed locked base runtime primitives (module helpers)
 		defineLocked(system, "base", makeBaseCore(system));
 
+		// pid early so boot timeline marks can be named after it
+		const pid = makePid();
+		addTimelineToBase(system, pid);
+		const bootStart = (typeof performance !== "undefined") ? performance.now() : Date.now();
+
 		// Root options: loader defaults then App Developer overrides
-		system.base.mergeDeep(system.options, LOADER_DEFAULTS);
-		if (system.base.isObj(args.appOptions)) system.base.mergeDeep(system.options, args.appOptions);
+		system.base.measure("options", () => {
+			system.base.mergeDeep(system.options, LOADER_DEFAULTS);
+			if (system.base.isObj(args.appOptions)) system.base.mergeDeep(system.options, args.appOptions);
+		});
 
-		// Seed locked asset loader BEFORE any framework modules load
+		// Seed locked CSP/Trusted Types helpers + asset loader BEFORE any framework modules load
+		addTrustToBase(system);
 		addAssetLoaderToBase(system);
 
 		const log = system.log.scope("ezWeb").scope("loader");
 		
 		log.info("Started ezWeb kernel");
 
+		// Hard contract on configuration: root options vs LOADER_SCHEMA
+		system.base.measure("options:validate", () => {
+			_validateOptions(log.scope("options"), system.options, LOADER_SCHEMA, "", args.appOptions, { skip: TREE });
+
+			// level names ("DEBUG", "warn", ...) can't be expressed in the schema
+			_checkLevelOption(log.scope("options"), "verbosity", system.options.verbosity);
+			const levels = system.options.logLevels;
+			if (levels && typeof levels === "object") {
+				Object.keys(levels).forEach(k => _checkLevelOption(log.scope("options"), "logLevels." + k, levels[k]));
+			}
+		});
+
 		// Validate mount element (App Developer mistake)
 		const appEl = document.getElementById(args.appElementId);
 		if (!appEl) {
@@ -992,64 +4649,370 @@ const ezWeb = (function () {
 		}
 		startedMounts.add(appEl);
 
-		const pid = makePid();
-		const chain = _resolveChain(system, args.topModule);
-
-		// Attach mount + pid (non-enumerable where possible)
+		// Mount record (loader private): owns teardown hooks for ezWeb.unmount(pid)
+		const mount = { pid: pid, system: system, appEl: appEl, chain: [], starts: null, urls: null, appOptions: args.appOptions, teardowns: [], closing: false, tornDown: false };
+		mounts[pid] = mount;
 		try {
-			Object.defineProperty(system, "pid", { value: pid, writable: false, enumerable: false });
-			Object.defineProperty(system, "appEl", { value: appEl, writable: false, enumerable: false });
-		} catch (_) {
-			system.pid = pid;
-			system.appEl = appEl;
+			addLifecycleToBase(system, mount);
+			system.base.onTeardown("log", () => system.log.close()); // first in => runs last
+			addErrorBoundaryToBase(system, mount);
+			addBusToSystem(system, mount);
+			if (system.options.captureGlobalErrors === true) _captureGlobalErrors(mount);
+			if (system.options.logPersist) _persistLog(system, appEl);
+
+			// Attach mount + pid (non-enumerable where possible)
+			try {
+				Object.defineProperty(system, "pid", { value: pid, writable: false, enumerable: false });
+				Object.defineProperty(system, "appEl", { value: appEl, writable: false, enumerable: false });
+			} catch (_) {
+				system.pid = pid;
+				system.appEl = appEl;
+			}
+
+			// Data starts as vanilla; bind module will typically proxy-wrap it
+			system.data = args.appData || {};
+
+			// Framework + registered module API slots (filled as modules start)
+			if (system.options.hotReload === true) {
+				// read-only accessors: only the loader can refill them (ezWeb.reload)
+				const slots = Object.create(null);
+				hotSlots.set(system, slots);
+				for (let i = 0; i < TREE.length; i++) {
+					const n = TREE[i];
+					slots[n] = null;
+					Object.defineProperty(system, n, { get: () => slots[n], enumerable: true, configurable: false });
+				}
+				log.warn("HOT RELOAD IS ACTIVE (pid=" + pid + "): development only, do not ship options.hotReload");
+			} else {
+				for (let i = 0; i < TREE.length; i++) system[TREE[i]] = null;
+			}
+
+			// Load every module the app needs, then start them in dependency order
+			const graph = await _resolveGraph(system, args.topModule);
+			mount.chain = graph.chain;
+			mount.starts = graph.starts;
+			mount.urls = graph.urls;
+
+			// errorPolicy.start: halt rethrows, continue skips the module (and its dependents), fallback ends the boot
+			if (await _startChain(mount, log) === "fallback") return pid;
+
+			// App Developer init function receives system bag (not returned globally)
+			// -async init is awaited: the pid resolves once init has finished
+			if (typeof args.appInit === "function") {
+				try {
+					await system.base.measure("init", async () => {
+						let initResult;
+						try {
+							log.info("Running App init (pid=" + system.pid + ")");
+							initResult = args.appInit(system);
+						} catch (e) {
+							throw _phaseError("App init function threw", e, "init", null);
+						}
+
+						if (_isThenable(initResult)) {
+							try {
+								await initResult;
+							} catch (e) {
+								throw _phaseError("App init function rejected", e, "init", null);
+							}
+						}
+					});
+				} catch (e) {
+					if (await _handleAppError(mount, e) === "fallback") return pid;
+				}
+			} else if (args.appInit != null) {
+				log.warn("App init was provided but is not a function");
+			}
+
+			// One-line boot summary (details: system.base.timeline())
+			const bootMs = ((typeof performance !== "undefined") ? performance.now() : Date.now()) - bootStart;
+			log.debug("Boot " + bootMs.toFixed(1) + "ms (pid=" + pid + "): " + system.base.timeline().map(t => t.name + " " + t.duration.toFixed(1) + "ms").join(", "));
+
+			// Return only pid
+			return pid;
+		} catch (e) {
+			// errorPolicy "halt" (or a module that failed to load): release the element and the pid
+			// so the app can be mounted again; hooks registered so far run like on unmount
+			log.warn("Boot failed, releasing the mount (pid=" + pid + ")");
+			await _teardownMount(mount);
+			throw e;
 		}
+	}
 
-		// Data starts as vanilla; bind module will typically proxy-wrap it
-		system.data = args.appData || {};
+	/********************************************************************
+	 * Public unmount (App Developer entrypoint)
+	 * -tears down a mounted app: module teardown hooks run in reverse
+	 *  ladder order (bind, net, dom), then the element is released
+	 * @param {string} the PID returned by ezWeb()
+	 * @returns {Promise<boolean>} false if the pid is unknown
+	 ********************************************************************/
+	async function unmount(pid) {
+		const mount = mounts[String(pid)];
+		if (!mount) {
+			pageLog.scope("unmount").warn("Unknown pid: " + pid);
+			return false;
+		}
+		await _teardownMount(mount);
+		return true;
+	}
 
-		// Framework module API slots (filled as modules start)
-		system.dom  = null;
-		system.net  = null;
-		system.bind = null;
-		system.ui   = null;
-		system.uix  = null;
+	defineLocked(ezWeb, "unmount", unmount);
 
-		// Load + start framework modules in order
-		for (let i = 0; i < chain.length; i++) {
-			const name = chain[i];
+	/********************************************************************
+	 * Public reload (development only, needs options.hotReload)
+	 * -re-imports one module with a cache-busting query, tears down the
+	 *  mount's modules (reverse order) and restarts the whole chain on the
+	 *  same system bag: system.data survives, bind recompiles the mount
+	 * -app teardown hooks, bus subscriptions and init are left alone
+	 * @param {string} the PID returned by ezWeb()
+	 * @param {string} the module to reload
+	 * @returns {Promise<boolean>} false if nothing was reloaded
+	 ********************************************************************/
+	async function reload(pid, name) {
+		const mount = mounts[String(pid)];
+		if (!mount) {
+			pageLog.scope("reload").warn("Unknown pid: " + pid);
+			return false;
+		}
+
+		const system = mount.system;
+		const log = system.log.scope("ezWeb").scope("loader").scope("reload");
+		const n = String(name || "");
+
+		if (system.options.hotReload !== true) {
+			log.warn("reload(): options.hotReload is off for pid=" + mount.pid);
+			return false;
+		}
+		if (mount.chain.indexOf(n) === -1) {
+			log.warn("reload(): module '" + n + "' is not running in pid=" + mount.pid);
+			return false;
+		}
+		if (mount.reloading) {
+			log.warn("reload(): already reloading pid=" + mount.pid);
+			return false;
+		}
+
+		mount.reloading = true;
+		try {
+			log.warn("HOT RELOAD: '" + n + "' (pid=" + mount.pid + ")");
 
-			const startFn = await _loadModuleStart(system, name);
+			// 1) fresh copy first: a broken edit leaves the running app untouched
+			const abs = _moduleAbsUrl(system, n);
+			const busted = abs + (abs.indexOf("?") === -1 ? "?" : "&") + "ezReload=" + Date.now();
+			const fresh = await system.base.assets.loadMod(busted);
+			if (typeof fresh !== "function") {
+				log.error("reload(): '" + n + "' did not export start(system); keeping the running version", { url: busted });
+				return false;
+			}
+			// later mounts from this url (under the same integrity policy) get the edit too
+			moduleStartCache[_moduleCacheKey(system, abs)] = Promise.resolve(fresh);
+			mount.starts[n] = fresh;
+			mount.urls[n] = busted;
 
-			// Merge module defaults + App Developer module overrides before start runs
-			const moduleDefaults = system.base.isObj(startFn.defaults) ? startFn.defaults : null;
-			_applyModuleOptions(system, name, moduleDefaults, args.appOptions);
+			// 2) module teardown, reverse start order (app hooks stay registered)
+			await _teardownModules(mount, log);
 
-			// Start module (it should set system[name] itself OR return its API object)
+			// 3) restart the chain on the same bag, under errorPolicy.start like a boot
+			const slots = hotSlots.get(system);
+			for (let i = 0; i < mount.chain.length; i++) slots[mount.chain[i]] = null;
 			try {
-				const maybeApi = startFn(system);
-				if (maybeApi && system.base.isObj(maybeApi) && system[name] == null) system.base.defineLocked(system, name, maybeApi);
-				log.debug("Started module: " + name);
+				if (await _startChain(mount, log) === "fallback") return false;
 			} catch (e) {
-				system.log.fatal("Framework module crashed during start(): " + name, e);
+				// halt: don't leave the chain half-started
+				await _teardownModules(mount, log);
+				for (let i = 0; i < mount.chain.length; i++) slots[mount.chain[i]] = null;
+				throw e;
 			}
+
+			log.warn("HOT RELOAD done: '" + n + "' (pid=" + mount.pid + ")");
+			return true;
+		} finally {
+			mount.reloading = false;
+		}
+	}
+
+	defineLocked(ezWeb, "reload", reload);
+
+	/********************************************************************
+	 * Public modules (App Developer entrypoint)
+	 * -which module files a mounted app actually runs, in start order
+	 * @param {string} the PID returned by ezWeb()
+	 * @returns {object[]|null} [{ name, url }], null if the pid is unknown
+	 ********************************************************************/
+	function modules(pid) {
+		const mount = mounts[String(pid)];
+		if (!mount) {
+			pageLog.scope("modules").warn("Unknown pid: " + pid);
+			return null;
+		}
+		return mount.chain.map(name => ({ name: name, url: mount.urls ? mount.urls[name] : "" }));
+	}
+
+	defineLocked(ezWeb, "modules", modules);
+
+	/********************************************************************
+	 * Public register (App Developer entrypoint)
+	 * -adds a third-party module (built from modules/modtemplate.js) to the ladder
+	 * -affects mounts started after the call; running mounts are untouched
+	 * -the module gets system.options[name], a locked system.<name> slot,
+	 *  and starts right after the module named in opts.after
+	 * @param {string} the module name (also its system slot + options key)
+	 * @param {string} the module file url (relative to the page)
+	 * @param {object} optional { after: "bind" } (default: top of the ladder)
+	 * @returns {string[]} a copy of the resulting ladder
+	 ********************************************************************/
+	function register(name, url, opts) {
+		const log = pageLog.scope("register");
+		const n = String(name || "");
+		const after = (opts && opts.after != null) ? String(opts.after) : TREE[TREE.length - 1];
+
+		if (!/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(n)) log.fatal("Invalid module name: '" + n + "'");
+		if (RESERVED_SLOTS.indexOf(n) !== -1) log.fatal("Module name is reserved by the loader: " + n);
+		if (TREE.indexOf(n) !== -1) log.fatal("Module already on the ladder: " + n);
+		if (!url || typeof url !== "string") log.fatal("register(): url is required for module " + n);
+
+		let idx = TREE.indexOf(after);
+		if (idx === -1) log.fatal("register(): unknown 'after' module '" + after + "' for " + n);
+
+		// keep registration order among modules placed after the same rung
+		while (idx + 1 < TREE.length && registered[TREE[idx + 1]] && registered[TREE[idx + 1]].after === after) idx++;
+
+		const abs = new URL(url, document.baseURI).href;
+		registered[n] = { url: abs, after: after };
+		TREE.splice(idx + 1, 0, n);
+
+		log.info("Registered module '" + n + "' after '" + after + "': " + abs);
+		return TREE.slice();
+	}
+
+	defineLocked(ezWeb, "register", register);
+
+	/********************************************************************
+	 * Public defineInit (App Developer entrypoint)
+	 * -names an init function so <div ezApp ezInit="name"> can use it
+	 * -the registry is explicit: autoBoot never looks up globals
+	 * @param {string} the init name
+	 * @param {function} init(system), may be async
+	 ********************************************************************/
+	function defineInit(name, fn) {
+		const log = pageLog.scope("defineInit");
+		const n = String(name || "").trim();
+
+		if (!n) log.fatal("defineInit(): name is required");
+		if (typeof fn !== "function") log.fatal("defineInit(): init '" + n + "' is not a function");
+		if (inits[n]) log.fatal("defineInit(): init already defined: " + n);
+
+		inits[n] = fn;
+		log.debug("Defined init '" + n + "'");
+	}
+
+	defineLocked(ezWeb, "defineInit", defineInit);
+
+	/********************************************************************
+	 * loader @private _readJsonBlock
+	 * -reads JSON from a <script type="application/json"> by selector
+	 * @param {object} the scoped log
+	 * @param {string} the selector (e.g. "#app-options")
+	 * @param {string} the attribute it came from (for messages)
+	 * @returns {object|undefined} the parsed value, undefined on error (logged)
+	 ********************************************************************/
+	function _readJsonBlock(log, selector, attr) {
+		let el = null;
+		try {
+			el = document.querySelector(selector);
+		} catch (e) {
+			log.error(attr + ": invalid selector '" + selector + "'", e);
+			return undefined;
+		}
+
+		if (!el || el.tagName !== "SCRIPT" || String(el.type).toLowerCase() !== "application/json") {
+			log.error(attr + ": '" + selector + "' is not a <script type=\"application/json\"> block");
+			return undefined;
+		}
+
+		try {
+			return JSON.parse(el.textContent || "null");
+		} catch (e) {
+			log.error(attr + ": '" + selector + "' is not valid JSON", e);
+			return undefined;
+		}
+	}
+
+	/********************************************************************
+	 * Public autoBoot (App Developer entrypoint)
+	 * -mounts every <el ezApp="bind"> under root once the DOM is ready
+	 *    ezApp="bind" | "bind net"  the module(s) to load
+	 *    ezData="#sel"              JSON data block
+	 *    ezOptions="#sel"           JSON options block
+	 *    ezInit="name"              init from ezWeb.defineInit()
+	 * -a broken element is logged and skipped, the rest still mount
+	 * -also runs by itself when ezWeb.js is imported with ?autoboot
+	 * -scans on DOMContentLoaded, or a task later if that has passed
+	 * @param {element} optional root to scan (default: document)
+	 * @returns {Promise<string[]>} the pids that mounted
+	 ********************************************************************/
+	async function autoBoot(root) {
+		const log = pageLog.scope("autoBoot");
+
+		// module scripts run while readyState is already "interactive": a ?autoboot
+		// self-run must still give the importing module time to call defineInit()
+		if (document.readyState === "loading") {
+			await new Promise(resolve => document.addEventListener("DOMContentLoaded", resolve, { once: true }));
+		} else {
+			await new Promise(resolve => setTimeout(resolve, 0));
 		}
 
-		// App Developer init function receives system bag (not returned globally)
-		if (typeof args.appInit === "function") {
+		const scope = root || document;
+		const els = Array.from(scope.querySelectorAll("[ezApp]"));
+		const pids = [];
+
+		for (let i = 0; i < els.length; i++) {
+			const el = els[i];
+			if (startedMounts.has(el)) continue; // already mounted (by hand or an earlier autoBoot)
+
+			if (!el.id) {
+				el.id = "ezApp-" + (++autoBootSeq);
+				autoIds.add(el);
+			}
+			const elLog = log.scope(el.id);
+
+			const mods = String(el.getAttribute("ezApp") || "").split(/[\s,]+/).filter(Boolean);
+			const top = mods.length > 1 ? mods : (mods[0] || "dom");
+
+			const dataSel = el.getAttribute("ezData");
+			const optsSel = el.getAttribute("ezOptions");
+			const initName = el.getAttribute("ezInit");
+
+			const data = dataSel ? _readJsonBlock(elLog, dataSel, "ezData") : {};
+			const options = optsSel ? _readJsonBlock(elLog, optsSel, "ezOptions") : {};
+			if (data === undefined || options === undefined) continue;
+
+			let init = null;
+			if (initName) {
+				init = inits[initName];
+				if (!init) {
+					elLog.error("ezInit: no init defined as '" + initName + "' (use ezWeb.defineInit)");
+					continue;
+				}
+			}
+
 			try {
-				log.info("Running App init (pid=" + system.pid + ")");
-				args.appInit(system);
+				const pid = await ezWeb(el.id, top, data, options, init);
+				pids.push(pid);
+				elLog.info("Auto-mounted (pid=" + pid + ")");
 			} catch (e) {
-				log.fatal("App init function threw", e);
+				elLog.error("Auto-mount failed", e);
 			}
-		} else if (args.appInit != null) {
-			log.warn("App init was provided but is not a function");
 		}
 
-		// Return only pid
-		return pid;
+		return pids;
 	}
 
+	defineLocked(ezWeb, "autoBoot", autoBoot);
+
+	// <script type="module" src=".../ezWeb.js?autoboot"> boots the page by itself
+	if (new URL(import.meta.url).searchParams.has("autoboot")) autoBoot();
+
 	// Expose config on ezWeb function object (no global variables)
 	ezWeb.config = {
 		defaults: LOADER_DEFAULTS,
@@ -13,6 +13,8 @@
  * - Loader calls start(system) exactly once per app mount
  * - Module attaches API to system.bind
  * - Optional: start.defaults for module-scoped options
+ * - Optional: start.schema to validate them (types, enums, ranges, deprecations)
+ * - Optional: start.requires / start.optional for module dependencies
  */
 
 const start = (function () {
@@ -28,17 +30,26 @@ const start = (function () {
 		return { debug: false };
 	}
 
+	/********************************************************************
+	 * Optional options schema
+	 * Loader validates the merged system.options.<moduleName> against it
+	 * (unknown keys warn, wrong types are fatal)
+	 ********************************************************************/
+	function schema() {
+		return { debug: { type: "boolean", deprecated: "use logLevels: { \"ezWeb.bind\": \"DEBUG\" } (or system.log.setLevel)" } };
+	}
+
 	/******************************************************************
 	 * bind start
 	 ******************************************************************/
-	return function start(system) {
+	function start(system) {
 		const base = system.base;
 		const dom = system.dom;
 		const defineLocked = system.base.defineLocked;
 
 		const log = system.log.scope("ezWeb").scope(modName);
 		const options = system.options[modName] || {};
-		if (options.debug) log.debug("Starting " + modName + " module", options);
+		if (log.enabled(log.DEBUG)) log.debug("Starting " + modName + " module", options);
 
 		/******************************************************************
 		 * Binding registries
@@ -64,9 +75,26 @@ const start = (function () {
 		// one ezFor rebuild per record per tick
 		const _pendingForRebuild = new WeakMap();
 
+		// everything we touched on live nodes (undone on unmount)
+		const _listeners = []; // [{ el, evt, fn }...]
+		const _flagged = [];   // [{ node, key }...]
+
+		// set by teardown; compile + scheduled rebuilds become no-ops
+		let _tornDown = false;
+
 		/******************************************************************
 		 * Registry helpers
 		 ******************************************************************/
+		function _listen(el, evt, fn) {
+			el.addEventListener(evt, fn);
+			_listeners.push({ el: el, evt: evt, fn: fn });
+		}
+
+		function _flag(node, key, value) {
+			node[key] = (value === undefined) ? true : value;
+			_flagged.push({ node: node, key: key });
+		}
+
 		function _scheduleForRebuild(rec) {
 			if (!rec || !rec.anchor) return;
 			if (_pendingForRebuild.has(rec)) return;
@@ -75,6 +103,7 @@ const start = (function () {
 
 			queueMicrotask(function () {
 				_pendingForRebuild.delete(rec);
+				if (_tornDown) return;
 				if (!rec.anchor || !rec.anchor.parentNode) return;
 				_renderForRecord(rec);
 			});
@@ -90,7 +119,7 @@ const start = (function () {
 				_pendingSelectRebuild.delete(el);
 
 				// dead guard
-				if (!el.isConnected) return;
+				if (_tornDown || !el.isConnected) return;
 
 				const model = getModelFn ? getModelFn() : null;
 				if (!_isEzSelectModel(model)) return;
@@ -120,7 +149,7 @@ const start = (function () {
 			const list = _bindings[pathString];
 			if (!list || list.length === 0) return;
 
-			if (options.debug) log.debug("_notifyBindings", { key: pathString, count: list.length });
+			if (log.enabled(log.DEBUG)) log.debug("_notifyBindings", { key: pathString, count: list.length });
 
 			for (let i = 0; i < list.length; i++) {
 				const b = list[i];
@@ -366,7 +395,7 @@ const start = (function () {
 				els.push(context);
 			}
 
-			if (options.debug) fmeLog.debug("Returning " + els.length + " elements.", els);
+			if (fmeLog.enabled(fmeLog.DEBUG)) fmeLog.debug("Returning " + els.length + " elements.", els);
 			return els;
 		}
 
@@ -521,10 +550,11 @@ const start = (function () {
 				return proxy;
 			}
 
+			// NOTE: the get trap answers INTERNAL.isProxy; no marker is defined on the
+			// raw object, so the same data object can be proxied again after unmount.
 			system.data = _wrap(system.data, []);
-			Object.defineProperty(system.data, INTERNAL.isProxy, { value: true, enumerable: false });
 
-			if (options.debug) log.debug("system.data deep-proxied");
+			if (log.enabled(log.DEBUG)) log.debug("system.data deep-proxied");
 		}
 
 		/******************************************************************
@@ -533,10 +563,8 @@ const start = (function () {
 		function _installDataChangeHook() {
 			if (!system.data || system.data.__isEzDeepProxy !== true) return;
 
-			if (system.data.__ezBindHookInstalled === true) return;
-			Object.defineProperty(system.data, "__ezBindHookInstalled", {
-				value: true, enumerable: false, configurable: false
-			});
+			// one hook per proxy; teardown clears it so a later bind can install again
+			if (typeof system.data.__onChange === "function") return;
 
 			system.data.__onChange = function (change) {
 				if (!change || !change.pathString) return;
@@ -569,7 +597,7 @@ const start = (function () {
 				}
 			};
 
-			if (options.debug) log.debug("bind: installed system.data.__onChange hook");
+			if (log.enabled(log.DEBUG)) log.debug("bind: installed system.data.__onChange hook");
 		}
 
 		/******************************************************************
@@ -639,9 +667,9 @@ const start = (function () {
 
 				if (!foundAny) return;
 
-				el.__ezBackTickSpec = {
+				_flag(el, "__ezBackTickSpec", {
 					attrs: specAttrs
-				};
+				});
 
 				out.push(el);
 			}
@@ -661,7 +689,7 @@ const start = (function () {
 
 			const flag = "__ezBackTicksAttrsBound";
 			if (el[flag] === true) return;
-			el[flag] = true;
+			_flag(el, flag);
 
 			const spec = el.__ezBackTickSpec;
 			if (!spec || !spec.attrs || spec.attrs.length === 0) return;
@@ -674,7 +702,7 @@ const start = (function () {
 					for (let i = 0; i < spec.attrs.length; i++) {
 						const a = spec.attrs[i];
 						const rendered = _renderBackTickTemplate(a.template);
-						el.setAttribute(a.name, rendered);
+						el.setAttribute(a.name, base.trustedAttr(el, a.name, rendered));
 					}
 				}
 			};
@@ -723,7 +751,7 @@ const start = (function () {
 			const keys = _extractBackTickKeys(template);
 			if (!keys || keys.length === 0) return;
 
-			textNode[flag] = true;
+			_flag(textNode, flag);
 
 			const rec = {
 				el: textNode,
@@ -822,7 +850,7 @@ const start = (function () {
 						return "``" + prefix + "." + k + "``";
 					});
 
-					if (newVal !== a.value) el.setAttribute(a.name, newVal);
+					if (newVal !== a.value) el.setAttribute(a.name, base.trustedAttr(el, a.name, newVal));
 				}
 			}
 		}
@@ -838,7 +866,7 @@ const start = (function () {
 			rec.rendered = [];
 
 			if (!Array.isArray(arr)) {
-				if (options.debug) log.warn("ezFor expected array at " + rec.dataKey, { value: arr });
+				if (log.enabled(log.DEBUG)) log.warn("ezFor expected array at " + rec.dataKey, { value: arr });
 				return;
 			}
 
@@ -874,7 +902,7 @@ const start = (function () {
 
 				const flag = "__ezForBound";
 				if (tpl[flag] === true) continue;
-				tpl[flag] = true;
+				_flag(tpl, flag);
 
 				const dataKey = String(tpl.getAttribute("ezFor") || "").trim();
 				if (!dataKey) continue;
@@ -901,7 +929,7 @@ const start = (function () {
 				_renderForRecord(rec);
 			}
 
-			if (options.debug) {
+			if (bindForLog.enabled(bindForLog.DEBUG)) {
 				const err = new Error("_bindFor call stack");
 				bindForLog.debug("Bound ezFor on " + els.length + " templates", err.stack);
 			}
@@ -979,7 +1007,7 @@ const start = (function () {
 			if (typeof v.selectedValue === "undefined") return false;
 
 			if (!Array.isArray(v.options)) {
-				if (options.debug) {
+				if (isSelectModelLog.enabled(isSelectModelLog.DEBUG)) {
 					isSelectModelLog.warn("ezBind <select>: options is not an array", {
 						options: v.options,
 						model: v
@@ -1015,7 +1043,7 @@ const start = (function () {
 				const entry = opts[i];
 
 				if (!Array.isArray(entry) || entry.length < 2) {
-					if (options.debug) log.warn("ezBind <select>: invalid option tuple", entry);
+					if (log.enabled(log.DEBUG)) log.warn("ezBind <select>: invalid option tuple", entry);
 					continue;
 				}
 
@@ -1033,7 +1061,7 @@ const start = (function () {
 			sel.value = selectedValue;
 
 			if (selectedValue !== "" && sel.value !== selectedValue) {
-				if (options.debug) {
+				if (log.enabled(log.DEBUG)) {
 					log.warn("ezBind <select>: selectedValue invalid or disabled", {
 						selectedValue: selectedValue,
 						options: opts
@@ -1062,7 +1090,7 @@ const start = (function () {
 
 				const flag = "__ezBindBound";
 				if (el[flag] === true) return;
-				el[flag] = true;
+				_flag(el, flag);
 
 				const key = String(el.getAttribute("ezBind") || "").trim();
 				if (!key) return;
@@ -1134,12 +1162,12 @@ const start = (function () {
 
 				// select special: object model binding
 				if (tag === "select") {
-					el.addEventListener("change", function () {
+					_listen(el, "change", function () {
 						if (el.__ezUpdating === true) return;
 
 						const model = _getAtPath(system.data, pathArr);
 
-						if (options.debug) log.debug("select writeback", {
+						if (log.enabled(log.DEBUG)) log.debug("select writeback", {
 							bind: el.getAttribute("ezBind"),
 							writePath: _pathToString(pathArr.concat(["selectedValue"])),
 							value: el.value
@@ -1165,7 +1193,7 @@ const start = (function () {
 					else evt = "change";
 				}
 
-				el.addEventListener(evt, function () {
+				_listen(el, evt, function () {
 					const v = _readElValue(el);
 					if (tag === "input" && type === "radio" && el.checked !== true) return;
 					_setAtPath(system.data, pathArr, v);
@@ -1174,7 +1202,7 @@ const start = (function () {
 
 			for (let i = 0; i < els.length; i++) bindOne(els[i]);
 
-			if (options.debug) {
+			if (bindDataLog.enabled(bindDataLog.DEBUG)) {
 				const err = new Error("_bindData call stack");
 				bindDataLog.debug("Bound data on " + els.length + " elements", err.stack);
 			}
@@ -1313,7 +1341,10 @@ const start = (function () {
 			return cur;
 		}
 
-		function _executeCodeString(codeString, context, meta, onErr) {
+		// _executeCodeString's result for a handler that threw (already reported)
+		const HANDLER_FAILED = Object.freeze({ failed: true });
+
+		function _executeCodeString(codeString, context, meta) {
 			const execLog = log.scope("executeCodeString");
 
 			const raw = String(codeString || "").trim();
@@ -1329,7 +1360,7 @@ const start = (function () {
 			const fn = (parent != null) ? parent[fnKey] : undefined;
 
 			if (typeof fn !== "function") {
-				if (options.debug) {
+				if (execLog.enabled(execLog.DEBUG)) {
 					execLog.warn("ezClick target is not a function: " + String(raw), {
 						path: raw,
 						pathArr: pathArr,
@@ -1340,23 +1371,21 @@ const start = (function () {
 			}
 
 			try {
-				return fn.call(parent, system, context, meta);
-			} catch (e) {
-				const label = (meta && meta.sourceName) ? String(meta.sourceName) : "ezWeb.invoke";
-				const msg = "Error executing handler for " + label;
+				const out = fn.call(parent, system, context, meta);
 
-				if (typeof onErr === "function") {
-					try { execLog.error(msg, onErr(e)); }
-					catch (e2) { execLog.error(msg + " (onErr threw)", e2); }
-					return;
-				}
-
-				if (onErr) {
-					execLog.error(msg, { meta: meta, onErr: onErr, error: e });
-					return;
+				// async handler: a rejection goes to the error boundary too
+				if (out && typeof out.then === "function") {
+					out.then(null, (e) => {
+						base.reportError(e, { module: modName, phase: "handler", scope: "ezWeb.bind.executeCodeString", message: "Async handler rejected: " + String(raw) });
+					});
 				}
+				return out;
+			} catch (e) {
+				const label = (meta && meta.sourceName) ? String(meta.sourceName) : "ezWeb.invoke";
 
-				execLog.error(msg, e);
+				// app error boundary (options.onError / errorPolicy.handler) logs it
+				base.reportError(e, { module: modName, phase: "handler", scope: "ezWeb.bind.executeCodeString", message: "Error executing handler for " + label });
+				return HANDLER_FAILED;
 			}
 		}
 
@@ -1389,19 +1418,31 @@ const start = (function () {
 
 				const flag = "__" + spec.attr + "Bound";
 				if (el[flag] === true) return;
-				el[flag] = true;
+				_flag(el, flag);
 
-				el.addEventListener(spec.evt, function (ev) {
+				_listen(el, spec.evt, function (ev) {
 					const codes = el.getAttribute(spec.attr);
 					if (!codes) return;
 
 					const ctx = _resolveContext(el, ev, bindEventsLog);
-
-					eachStatement(codes, (stmt, idx) => {
-						_executeCodeString(stmt, ctx, {
-							sourceName: spec.attr + ":" + (el.id || el.getAttribute("id") || el.getAttribute("name") || "anon") + " #" + idx
+					const label = spec.attr + ":" + (el.id || el.getAttribute("id") || el.getAttribute("name") || "anon");
+
+					// one span per event: ajax() calls and bind updates from the handlers join it
+					const span = log.scope("handler").startSpan(label);
+					const pending = [];
+					let failed = false;
+					span.run(() => {
+						eachStatement(codes, (stmt, idx) => {
+							const out = _executeCodeString(stmt, ctx, { sourceName: label + " #" + idx });
+							if (out === HANDLER_FAILED) failed = true;
+							else if (out && typeof out.then === "function") pending.push(out);
 						});
 					});
+
+					// handler errors were already reported (error boundary): the span only records the outcome
+					if (failed) span.end("error");
+					else if (pending.length) Promise.all(pending).then(() => span.end("ok"), () => span.end("error"));
+					else span.end("ok");
 				});
 			}
 
@@ -1410,7 +1451,7 @@ const start = (function () {
 				for (let j = 0; j < specs.length; j++) bindEvent(el, specs[j]);
 			}
 
-			if (options.debug) {
+			if (bindEventsLog.enabled(bindEventsLog.DEBUG)) {
 				const err = new Error("_bindEvents call stack");
 				bindEventsLog.debug("Bound events on " + els.length + " elements", err.stack);
 			}
@@ -1422,27 +1463,97 @@ const start = (function () {
 		const bind = Object.create(null);
 
 		function compile(context) {
+			if (_tornDown) return;
 			_bindFor(context);       // expand templates first
 			_bindTicks(context);     // then backticks (TEXT + ATTR)
 			_bindData(context);      // then ezBind + select models
 			_bindEvents(context);    // then events
 		}
 
+		/******************************************************************
+		 * Teardown (ezWeb.unmount)
+		 * -detaches the data hook, removes our listeners and registries
+		 * -restores ezFor templates and backtick templates, clears flags,
+		 *  so the same markup can be compiled again by a new mount
+		 ******************************************************************/
+		function teardown() {
+			_tornDown = true;
+
+			if (system.data && system.data.__isEzDeepProxy === true) {
+				system.data.__onChange = null;
+				system.data = system.data.__raw; // hand back the plain object (hot reload re-wraps it)
+			}
+
+			for (let i = 0; i < _listeners.length; i++) {
+				const l = _listeners[i];
+				l.el.removeEventListener(l.evt, l.fn);
+			}
+			_listeners.length = 0;
+
+			// ezFor: drop rendered clones, put the template back at its anchor
+			for (const k in _forBindings) {
+				const list = _forBindings[k];
+				for (let i = 0; i < list.length; i++) {
+					const rec = list[i];
+					for (let j = 0; j < rec.rendered.length; j++) {
+						const n = rec.rendered[j];
+						if (n && n.parentNode) n.parentNode.removeChild(n);
+					}
+					rec.rendered = [];
+					if (rec.anchor && rec.anchor.parentNode) {
+						rec.anchor.parentNode.insertBefore(rec.template, rec.anchor);
+						rec.anchor.parentNode.removeChild(rec.anchor);
+					}
+				}
+			}
+
+			// backticks: put the raw templates back
+			const btSeen = new Set();
+			for (const k in _btBindings) {
+				const list = _btBindings[k];
+				for (let i = 0; i < list.length; i++) {
+					const r = list[i];
+					if (!r || btSeen.has(r)) continue;
+					btSeen.add(r);
+					if (r.el.nodeType === 3) r.el.nodeValue = r.template;
+					else if (r.attrs) r.attrs.forEach(a => r.el.setAttribute(a.name, base.trustedAttr(r.el, a.name, a.template)));
+				}
+			}
+
+			for (let i = 0; i < _flagged.length; i++) {
+				delete _flagged[i].node[_flagged[i].key];
+			}
+			_flagged.length = 0;
+
+			[_bindings, _btBindings, _forBindings].forEach(reg => {
+				for (const k in reg) delete reg[k];
+			});
+			_deepBindings.length = 0;
+
+			if (log.enabled(log.DEBUG)) log.debug("bind torn down");
+		}
+
 		defineLocked(system, modName, bind);
 		defineLocked(dom.fn, "__ezCompile", compile);
+		base.onTeardown(modName, teardown);
 
 		// Init core systems
 		_makeDeepProxy();
 		_installDataChangeHook();
 
-		// First compile pass
-		compile(system.appEl);
+		// First compile pass (on the boot timeline as "bind:compile")
+		base.measure("bind:compile", () => compile(system.appEl));
 
 		log.info(modName + " module ready");
 		return bind;
-	};
+	}
 
+	// Attach defaults + schema + dependencies to start function (loader reads these)
 	start.defaults = defaults();
+	start.schema = schema();
+	start.requires = ["dom"];
+
+	return start;
 
 })();
 
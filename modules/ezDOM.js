@@ -8,6 +8,8 @@
  * - Loader calls start(system) exactly once per app mount
  * - Module attaches API to system.dom (callable function object)
  * - Optional: start.defaults for module-scoped options
+ * - Optional: start.schema to validate them (types, enums, ranges, deprecations)
+ * - Optional: start.requires / start.optional for module dependencies
  */
 
 const start = (function () {
@@ -33,12 +35,25 @@ const start = (function () {
 		};
 	}
 
+	/********************************************************************
+	 * Optional options schema
+	 * Loader validates the merged system.options.<moduleName> against it
+	 * (unknown keys warn, wrong types are fatal)
+	 ********************************************************************/
+	function schema() {
+		return {
+			debug: { type: "boolean", deprecated: "use logLevels: { \"ezWeb.dom\": \"DEBUG\" } (or system.log.setLevel)" },
+			scopeToMount: { type: "boolean" },
+			allowScripts: { type: "boolean" }
+		};
+	}
+
 	/******************************************************************
 	 * dom start
 	 * -Module entrypoint, attaches API to system bag
 	 * @param {object} the system bag
 	 ******************************************************************/
-	return function start(system) {
+	function start(system) {
 		//import base
 		const base = system.base;
 		
@@ -52,7 +67,13 @@ const start = (function () {
 		// Module options (already merged by loader)
 		const options = system.options[modName] || {};
 
-		if (options.debug) log.debug("Starting " + modName + " module", options);
+		if (log.enabled(log.DEBUG)) log.debug("Starting " + modName + " module", options);
+
+		/******************************************************************
+		 * Live controllers (detached on unmount)
+		 ******************************************************************/
+		const _validators = new Set(); // validator APIs from _validate()
+		const _forms = new Set();      // controller APIs from form()
 
 		/******************************************************************
 		 * dom _Wrapped
@@ -81,7 +102,7 @@ const start = (function () {
 			defineLocked(this, "els", els);
 			defineLocked(this, "length", els.length);
 			
-			if (options && options.debug) wrapLog.debug("Wrapping up " + this.length + " elements");
+			if (wrapLog.enabled(wrapLog.DEBUG)) wrapLog.debug("Wrapping up " + this.length + " elements");
 			
 		}
 		
@@ -304,6 +325,28 @@ const start = (function () {
 			return this;
 		});
 		
+		/******************************************************************
+		 * @private _claimingListener
+		 * -the listener on() really adds: a throw is claimed for this app
+		 *  (base.claimError) before it goes uncaught, so captureGlobalErrors
+		 *  can attribute it. One per handler, so off(handler) still works.
+		 * @param {function} the handler
+		 * @returns {function} the listener
+		 ******************************************************************/
+		const _listeners = new WeakMap();
+		function _claimingListener(handler) {
+			if (_listeners.has(handler)) return _listeners.get(handler);
+			const listener = function (ev) {
+				try {
+					return handler.call(this, ev);
+				} catch (err) {
+					throw base.claimError(err);
+				}
+			};
+			_listeners.set(handler, listener);
+			return listener;
+		}
+
 		/******************************************************************
 		 * dom _Wrapped on
 		 * -sets an evet on an element
@@ -316,8 +359,9 @@ const start = (function () {
 			const e = String(evt || "").trim();
 			if (!e || typeof handler !== "function") return this;
 
+			const listener = _claimingListener(handler);
 			for (let i = 0; i < this.els.length; i++) {
-				this.els[i].addEventListener(e, handler, opts);
+				this.els[i].addEventListener(e, listener, opts);
 			}
 			return this;
 		});
@@ -334,8 +378,9 @@ const start = (function () {
 			const e = String(evt || "").trim();
 			if (!e) return this;
 
+			const listener = (typeof handler === "function" && _listeners.has(handler)) ? _listeners.get(handler) : handler;
 			for (let i = 0; i < this.els.length; i++) {
-				this.els[i].removeEventListener(e, handler, opts);
+				this.els[i].removeEventListener(e, listener, opts);
 			}
 			return this;
 		});
@@ -546,7 +591,7 @@ const start = (function () {
 		 ******************************************************************/
 		defineLocked(_Wrapped.prototype, "empty", function emptyWrapped() {
 			for (let i = 0; i < this.els.length; i++) {
-				this.els[i].innerHTML = "";
+				this.els[i].textContent = ""; // not an HTML sink (Trusted Types safe)
 			}
 			return this;
 		});
@@ -1071,7 +1116,7 @@ const start = (function () {
 		function _resolveContentArgs(content, spec) {
 
 			if (content == null) {
-				if (options.debug) rcaLog.debug("resolveContentArgs(): content was null/undefined");
+				if (rcaLog.enabled(rcaLog.DEBUG)) rcaLog.debug("resolveContentArgs(): content was null/undefined");
 				return null;
 			}
 
@@ -1092,7 +1137,7 @@ const start = (function () {
 			const isNodeList = _isNodeListLike(content);
 
 			if (!isHtmlString && !isElement && !isWrapped && !isArray && !isNodeList) {
-				if (options.debug) rcaLog.debug("resolveContentArgs(): unsupported content type", content);
+				if (rcaLog.enabled(rcaLog.DEBUG)) rcaLog.debug("resolveContentArgs(): unsupported content type", content);
 				return null;
 			}
 
@@ -1178,6 +1223,24 @@ const start = (function () {
 		 ******************************************************************/
 		const _hiddenKey = "__ezPrevDisplay";
 		
+		let _compileHold = 0; // > 0 while withoutCompile() runs
+
+		/******************************************************************
+		 * dom withoutCompile
+		 * -runs fn with ez* compilation switched off: html(), append() & co
+		 *  insert markup inert (the loader wraps capability-limited modules in it)
+		 * @param {function} the work
+		 * @returns {any} what fn returns
+		 ******************************************************************/
+		function withoutCompile(fn) {
+			_compileHold++;
+			try {
+				return fn();
+			} finally {
+				_compileHold--;
+			}
+		}
+
 		/******************************************************************
 		 * dom @private _maybeCompile
 		 * -If bind module extended dom.fn.compile, call it.
@@ -1185,6 +1248,7 @@ const start = (function () {
 		 * @param {any} root element | _Wrapped | array | NodeList-like
 		 ******************************************************************/
 		function _maybeCompile(root) {
+			if (_compileHold > 0) return undefined;
 			if (!dom || !dom.fn || typeof dom.fn.__ezCompile !== "function") return undefined;
 			const wrapped = dom(root); //ensure wrapped
 			if (wrapped && typeof wrapped.__ezCompile === "function" && _shouldCompileNode(root)) wrapped.__ezCompile(root);
@@ -1451,7 +1515,7 @@ const start = (function () {
 
 				// optional: clear error container content
 				const ec = resolveErrorContainer();
-				if (ec) ec.innerHTML = "";
+				if (ec) ec.textContent = "";
 
 				lastErrors = Object.create(null);
 			}
@@ -1613,8 +1677,11 @@ const start = (function () {
 				containerEl.removeEventListener("input", onLiveEvent, true);
 				containerEl.removeEventListener("change", onLiveEvent, true);
 				clearErrors();
+				_validators.delete(api);
 			});
 
+			_validators.add(api);
+
 			return api;
 		}
 		
@@ -1636,7 +1703,7 @@ const start = (function () {
 			// SCRIPT: re-create “live” script if allowed
 			if (tag === "script") {
 				if (allowScripts !== true) { 
-					if (options.debug) {
+					if (log.enabled(log.DEBUG)) {
 						log.warn("Script tag stripped (allowScripts=false)", _node);
 					}
 					return document.createComment("ezWeb: script stripped"); }
@@ -1644,16 +1711,18 @@ const start = (function () {
 				const s = document.createElement("script");
 
 				// copy attributes exactly (src, type="module", nomodule, async, defer, integrity, crossorigin, nonce, etc.)
+				// src + on* go through the Trusted Types helpers
 				for (let i = 0; i < _node.attributes.length; i++) {
 					const a = _node.attributes[i];
-					s.setAttribute(a.nodeName, a.nodeValue);
+					s.setAttribute(a.nodeName, base.trustedAttr(s, a.nodeName, a.nodeValue));
 				}
 
 				// inline script body
 				// (textContent works for classic + module scripts)
-				s.textContent = _node.textContent || "";
+				s.textContent = base.trustedScript(_node.textContent || "");
 
-				return s;
+				// CSP: a markup nonce wins, otherwise options.cspNonce
+				return base.applyNonce(s);
 			}
 
 			const el = document.createElement(tag);
@@ -1661,9 +1730,12 @@ const start = (function () {
 			// copy attributes
 			for (let i = 0; i < _node.attributes.length; i++) {
 				const attr = _node.attributes[i];
-				el.setAttribute(attr.nodeName, attr.nodeValue);
+				el.setAttribute(attr.nodeName, base.trustedAttr(el, attr.nodeName, attr.nodeValue));
 			}
 
+			// CSP: inline <style> needs the nonce too
+			if (tag === "style") base.applyNonce(el);
+
 			// recurse children (includes text nodes)
 			for (let i = 0; i < _node.childNodes.length; i++) {
 				const child = _createDOMFromNode(_node.childNodes[i], allowScripts);
@@ -1769,7 +1841,7 @@ const start = (function () {
 			// Close the element
 			htmlString += "</" + tag + ">";
 
-			if (options.debug) createStringLog.debug("Returning: ", htmlString);
+			if (createStringLog.enabled(createStringLog.DEBUG)) createStringLog.debug("Returning: ", htmlString);
 
 			return htmlString;
 		}
@@ -1809,9 +1881,9 @@ const start = (function () {
 
 			// inert parse
 			const tpl = document.createElement("template");
-			tpl.innerHTML = trimmed;
+			tpl.innerHTML = base.trustedHTML(trimmed);
 
-			const allowScripts = (options.dom && options.dom.allowScripts === true);
+			const allowScripts = (options.allowScripts === true); // options is system.options.dom
 			
 			const made = [];
 			const nodes = tpl.content.childNodes;
@@ -1986,7 +2058,7 @@ const start = (function () {
 			}
 
 			// setter: html(el, "<div></div>")
-			el.innerHTML = String(v);
+			el.innerHTML = base.trustedHTML(String(v));
 			_maybeCompile(el);
 			return null;
 		}
@@ -2447,6 +2519,8 @@ const start = (function () {
 				containerEl.removeEventListener("keydown", onKeyDown);
 				containerEl.removeEventListener("click", onClick);
 				if (wiredNativeSubmit) containerEl.removeEventListener("submit", onNativeSubmit);
+				if (_validator) _validator.destroy();
+				_forms.delete(api);
 			});
 			
 			let _validator = null;
@@ -2456,10 +2530,13 @@ const start = (function () {
 			});
 
 			defineLocked(api, "validate", function attachValidator(rules, vopts) {
+				if (_validator) _validator.destroy();
 				_validator = _validate(containerEl, rules, vopts);
 				return _validator;
 			});
 
+			_forms.add(api);
+
 			return api;
 		}
 
@@ -2727,6 +2804,7 @@ const start = (function () {
 		 ******************************************************************/
 		defineLocked(dom, "fn", _Wrapped.prototype);   // jQuery-ish extension surface
 		defineLocked(dom, "_Wrapped", _Wrapped);       // for instanceof, debugging
+		defineLocked(dom, "withoutCompile", withoutCompile); // inert inserts (capability views)
 		
 		/******************************************************************
 		 * Attach public methods to dom. 
@@ -2783,6 +2861,16 @@ const start = (function () {
 		defineLocked(dom, "serializeArray", serializeArray);
 		defineLocked(dom, "serialize", serialize);
 		
+		/******************************************************************
+		 * Teardown (ezWeb.unmount)
+		 * -detaches every live form() controller and validator
+		 ******************************************************************/
+		base.onTeardown(modName, function teardown() {
+			Array.from(_forms).forEach(f => f.destroy());
+			Array.from(_validators).forEach(v => v.destroy());
+			if (log.enabled(log.DEBUG)) log.debug("dom torn down");
+		});
+
 		/******************************************************************
 		 * Attach to system
 		 ******************************************************************/
@@ -2793,8 +2881,12 @@ const start = (function () {
 		return dom;
 	}
 
-	// Attach defaults to start function (loader reads this)
+	// Attach defaults + schema + dependencies to start function (loader reads these)
 	start.defaults = defaults();
+	start.schema = schema();
+	start.requires = [];
+
+	return start;
 
 })();
 
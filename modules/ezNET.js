@@ -10,6 +10,8 @@
  *     - Attach API to system.net
  *     - OR return an API object (loader assigns it if system slot is empty)
  * - Optional: start.defaults for module-scoped options
+ * - Optional: start.schema to validate them (types, enums, ranges, deprecations)
+ * - Optional: start.requires / start.optional for module dependencies
  */
 
 const start = (function () {
@@ -36,12 +38,38 @@ const start = (function () {
 		};
 	}
 
+	/********************************************************************
+	 * Optional options schema
+	 * Loader validates the merged system.options.<moduleName> against it
+	 * (unknown keys warn, wrong types are fatal)
+	 ********************************************************************/
+	function schema() {
+		return {
+			debug: { type: "boolean", deprecated: "use logLevels: { \"ezWeb.net\": \"DEBUG\" } (or system.log.setLevel)" },
+			ajaxSettings: {
+				type: "object",
+				props: {
+					url: { type: "string" },
+					method: { type: "string" },
+					timeout: { type: "number", min: 0 },
+					cache: { type: "boolean" },
+					withCredentials: { type: "boolean" },
+					responseType: { type: "string" },
+					headers: { type: "object", additional: true },
+					async: { type: "boolean" },
+					appBaseUrl: { type: "string" },
+					frameworkBaseUrl: { type: "string" }
+				}
+			}
+		};
+	}
+
 	/******************************************************************
 	 * dom start
 	 * Module entrypoint, attaches API to system bag
 	 * @param {object} the system bag
 	 ******************************************************************/
-	return function start(system) {
+	function start(system) {
 		//import base
 		const base = system.base;
 		
@@ -57,7 +85,10 @@ const start = (function () {
 		// Module options (already merged by loader)
 		const options = system.options[modName] || {};
 
-		if (options.debug) log.debug("Starting " + modName + " module", options);
+		if (log.enabled(log.DEBUG)) log.debug("Starting " + modName + " module", options);
+
+		// In-flight jqXHR-lite objects (aborted on unmount)
+		const _inflight = new Set();
 
 		/******************************************************************
 		 * Internal helpers (private to module)
@@ -238,6 +269,21 @@ const start = (function () {
 		 * @returns {boolean} is the object an Raw Body?
 		 ******************************************************************/
 		function _isRawBody(v) { return _isFormData(v) || _isUrlSearchParams(v) || _isBlob(v) || _isArrayBuffer(v); }
+
+		/******************************************************************
+		 * net @private _urlPath(url)
+		 * -the path of a url, without host, query or hash (span names:
+		 *  query strings carry ids and tokens)
+		 * @param {string} the url
+		 * @returns {string} the path
+		 ******************************************************************/
+		function _urlPath(url) {
+			try {
+				return new URL(url).pathname;
+			} catch (_) {
+				return String(url).split(/[?#]/)[0];
+			}
+		}
 		
 		/******************************************************************
 		 * net @private _normalizeArgs(url, data, success, dataType)
@@ -360,7 +406,7 @@ const start = (function () {
 				if (obj == null) return "null";
 				const out = JSON.stringify(obj);
 				
-				if(options.debug) pLog.debug("JSON requested, returning: ", out);					
+				if (pLog.enabled(pLog.DEBUG)) pLog.debug("JSON requested, returning: ", out);					
 				return out;
 			}
 
@@ -438,7 +484,7 @@ const start = (function () {
 			}
 			
 			const out = parts.join("&");
-			if(options.debug) pLog.debug("Returning: ", out);
+			if (pLog.enabled(pLog.DEBUG)) pLog.debug("Returning: ", out);
 
 			return out;
 		}
@@ -675,10 +721,15 @@ const start = (function () {
 			let timerId = 0;
 			let timedOut = false;
 			let settled = false;
+
+			// one span per request: its parent is the span that called ajax() (e.g. a bind handler),
+			// and callbacks run inside it so their logs (and the bind updates they cause) join the trace
+			const span = aLog.startSpan("ajax " + method + " " + _urlPath(finalUrl));
 			
 			//helpers			
 			function makeError(type, err, extra) {
 				const e = (err instanceof Error) ? err : new Error(String(err || "ajax(): error"));
+				base.claimError(e); // an unhandled rejection is attributed to this app (captureGlobalErrors)
 				e.type = type || "error";
 				e.url = finalUrl;
 				e.method = method;
@@ -693,7 +744,7 @@ const start = (function () {
 
 			function fireError(type, err) {
 				// statusCode hooks fire when we have a real HTTP status (later)
-				if (typeof errorCb === "function") { try { errorCb.call(ctx, xhr, type, err); } catch (e) {} }
+				if (typeof errorCb === "function") { try { span.run(() => errorCb.call(ctx, xhr, type, err)); } catch (e) {} }
 				finishComplete(type);
 				return;
 			}
@@ -701,6 +752,8 @@ const start = (function () {
 			function settleResolve(val) {
 				if (settled) return;
 				settled = true;
+				_inflight.delete(xhr);
+				span.end("ok", { status: xhr.status });
 				_resolve(val);
 				return;
 			}
@@ -708,6 +761,8 @@ const start = (function () {
 			function settleReject(err) {
 				if (settled) return;
 				settled = true;
+				_inflight.delete(xhr);
+				span.end((err && err.type) || "error", err);
 				_reject(err);
 				return;
 			}
@@ -721,14 +776,14 @@ const start = (function () {
 			}
 
 			function finishComplete(statusText) {
-				if (typeof completeCb === "function") {	try { completeCb.call(ctx, xhr, statusText || ""); } catch (e) {} }
+				if (typeof completeCb === "function") {	try { span.run(() => completeCb.call(ctx, xhr, statusText || "")); } catch (e) {} }
 			}
 
 			function fireStatusCode(code) {
 				if (!statusCode) return;
 				const fn = statusCode[code];
 				if (typeof fn === "function") {
-					try { fn.call(ctx, xhr); } catch (e) {}
+					try { span.run(() => fn.call(ctx, xhr)); } catch (e) {}
 				}
 				return;
 			}
@@ -737,7 +792,7 @@ const start = (function () {
 				if (xhr.readyState === 4 || settled) return;
 				xhr.aborted = true;
 
-				if (options.debug) aLog.warn("Request aborted: ", finalUrl);
+				if (aLog.enabled(aLog.DEBUG)) aLog.warn("Request aborted: ", finalUrl);
 
 				clearTimer();
 				if (controller) controller.abort();
@@ -753,7 +808,7 @@ const start = (function () {
 					timedOut = true;
 					xhr.aborted = true;
 
-					if (options.debug) aLog.warn("Timeout reached (" + timeout + "ms): ", finalUrl);
+					if (aLog.enabled(aLog.DEBUG)) aLog.warn("Timeout reached (" + timeout + "ms): ", finalUrl);
 
 					if (controller) controller.abort();
 
@@ -825,7 +880,7 @@ const start = (function () {
 				}
 			}
 
-			if (options.debug) {
+			if (aLog.enabled(aLog.DEBUG)) {
 				aLog.debug("Starting: ", {
 					url: finalUrl,
 					method: method,
@@ -848,6 +903,7 @@ const start = (function () {
 			}
 			
 			requestLocked = true;
+			_inflight.add(xhr);
 
 			fetch(finalUrl, fetchOpts).then(function (res) {
 				if (settled) return;
@@ -907,7 +963,7 @@ const start = (function () {
 					}
 
 					if (typeof successCb === "function") {
-						try { successCb.call(ctx, xhr.response.data, "success", xhr); } catch (e) {}
+						try { span.run(() => successCb.call(ctx, xhr.response.data, "success", xhr)); } catch (e) {}
 					}
 					finishComplete("success");
 
@@ -966,6 +1022,16 @@ const start = (function () {
 		defineLocked(dom, "getJSON", getJSON);
 		defineLocked(dom, "postJSON", postJSON);
 
+		/******************************************************************
+		 * Teardown (ezWeb.unmount)
+		 * -aborts every in-flight ajax() request
+		 ******************************************************************/
+		base.onTeardown(modName, function teardown() {
+			const pending = Array.from(_inflight);
+			for (let i = 0; i < pending.length; i++) pending[i].abort();
+			if (log.enabled(log.DEBUG)) log.debug("net torn down, aborted " + pending.length + " request(s)");
+		});
+
 		/******************************************************************
 		 * Attach API to system bag (preferred)
 		 ******************************************************************/
@@ -977,8 +1043,12 @@ const start = (function () {
 		return net;
 	}
 
-	// Attach defaults to start function (loader reads this)
+	// Attach defaults + schema + dependencies to start function (loader reads these)
 	start.defaults = defaults();
+	start.schema = schema();
+	start.requires = ["dom"];
+
+	return start;
 
 })();
 
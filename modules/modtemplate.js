@@ -9,6 +9,14 @@
  *     - Attach API to system.<name>
  *     - OR return an API object (loader assigns it if system slot is empty)
  * - Optional: start.defaults for module-scoped options
+ * - Optional: start.schema to validate them (types, enums, ranges, deprecations)
+ * - Optional: start.requires / start.optional for module dependencies
+ * - Optional: start.capabilities to run with only what it needs (registered modules)
+ * - Optional: base.onTeardown(modName, fn) to clean up on ezWeb.unmount(pid)
+ *
+ * Loading (third-party modules):
+ *   ezWeb.register("<name>", "./modules/ez<name>.js", { after: "bind" });
+ *   ezWeb("app", "<name>", data, options, init);   // loads <name> + start.requires
  */
 
 const start = (function () {
@@ -22,7 +30,20 @@ const start = (function () {
 	 ********************************************************************/
 	function defaults() {
 		return {
-			debug: false
+			// e.g. retries: 3 (debug output: options.logLevels { "ezWeb.<name>": "DEBUG" })
+		};
+	}
+
+	/********************************************************************
+	 * Optional options schema
+	 * Loader validates the merged system.options.<moduleName> against it
+	 * (unknown keys warn, wrong types are fatal)
+	 ********************************************************************/
+	function schema() {
+		// spec keys: type ("string"|"number"|"boolean"|"object"|"array"|"function"|"null"|"any", or a list),
+		//            enum, min, max, props (nested schema), additional (true | spec), deprecated ("use x")
+		return {
+			// e.g. retries: { type: "number", min: 0 }
 		};
 	}
 
@@ -44,7 +65,7 @@ const start = (function () {
 		// Module options (already merged by loader)
 		const options = system.options[modName] || {};
 
-		if (options.debug) log.debug("Starting " + modName + " module", options);
+		if (log.enabled(log.DEBUG)) log.debug("Starting " + modName + " module", options);
 
 		/******************************************************************
 		 * Internal helpers (private to module)
@@ -64,6 +85,14 @@ const start = (function () {
 			return "Hello, " + String(toMe || "") + ", I'm the " + getName() + " module.";
 		});
 
+		/******************************************************************
+		 * Teardown (ezWeb.unmount)
+		 * -undo anything this module attached to the page
+		 ******************************************************************/
+		base.onTeardown(modName, function teardown() {
+			if (log.enabled(log.DEBUG)) log.debug(modName + " torn down");
+		});
+
 		/******************************************************************
 		 * Attach API to system bag (preferred)
 		 ******************************************************************/
@@ -75,19 +104,26 @@ const start = (function () {
 		return <name>;
 	}
 
-	// Attach defaults to start function (loader reads this)
+	// Attach defaults + schema to start function (loader reads these)
 	start.defaults = defaults();
+	start.schema = schema();
 
-	/********************************************************************
-	 * Module export (script-tag compatible)
-	 *
-	 * NOTE:
-	 * - Script tags cannot return values directly to the loader.
-	 * - Instead, the IIFE "returns" start(system) by publishing it
-	 *   to a known global registry that the loader reads after load.
-	 ********************************************************************/
-	const w = window;
-	if (!w.__ezWebMods) w.__ezWebMods = Object.create(null);
-	w.__ezWebMods[modName] = start;
+	// Dependencies (loader reads these; omit requires to depend on the rung below)
+	// - requires: always loaded and started before this module
+	// - optional: started before this module only when the app loads them anyway
+	start.requires = ["dom"];
+	start.optional = [];
+
+	// Capabilities (registered modules; loader hands start() an attenuated system bag)
+	// e.g. "dom", "bus", "assets:load", "net:https://api.example.com", "data:read:user", "data:write:cart", "bind"
+	start.capabilities = [];
+
+	return start;
+
+})();
 
-})();
\ No newline at end of file
+/********************************************************************
+ * Module export (ESM)
+ * - The loader import()s this file and reads the default export.
+ ********************************************************************/
+export default start;
\ No newline at end of file
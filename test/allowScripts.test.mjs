@@ -0,0 +1,75 @@
+/* allowScripts.test.mjs
+ * dom.create() keeps <script> tags only when options.dom.allowScripts is true
+ *
+ * Run: npm test (or node test/allowScripts.test.mjs; exit code 1 on any failure)
+ *
+ * create() parses through a <template>, so this one needs a real DOM (jsdom).
+ * Scripts are never executed here: jsdom runs none unless asked to.
+ */
+
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+const page = new JSDOM('<!DOCTYPE html><body><div id="a"></div><div id="b"></div><div id="c"></div></body>', {
+	url: new URL("../index.html", import.meta.url).href
+});
+["window", "document", "Node", "NodeFilter", "HTMLElement", "Event", "CustomEvent"].forEach((k) => {
+	globalThis[k] = (k === "window") ? page.window : page.window[k];
+});
+
+const ezWeb = (await import("../ezWeb.js")).default;
+
+/********************************************************************
+ * Tiny runner
+ ********************************************************************/
+let failed = 0;
+
+function check(name, fn) {
+	try {
+		fn();
+		console.log("ok   " + name);
+	} catch (e) {
+		failed++;
+		console.log("FAIL " + name + "\n     " + e.message);
+	}
+}
+
+async function mount(id, options) {
+	let system;
+	await ezWeb(id, "dom", {}, Object.assign({ verbosity: "NONE" }, options), (s) => { system = s; });
+	return system;
+}
+
+const MARKUP = '<div><p>hi</p><script>window.ran = true;</script></div>';
+
+/********************************************************************
+ * Cases
+ ********************************************************************/
+const off = await mount("a", {});
+const on = await mount("b", { dom: { allowScripts: true } });
+const root = await mount("c", { allowScripts: true });
+
+check("default: the script becomes an inert comment", () => {
+	const el = off.dom.create(MARKUP);
+	assert.equal(el.querySelector("script"), null);
+	assert.equal(el.lastChild.nodeType, Node.COMMENT_NODE);
+	assert.equal(el.querySelector("p").textContent, "hi");
+});
+
+check("dom.allowScripts: true keeps the script", () => {
+	const el = on.dom.create(MARKUP);
+	const s = el.querySelector("script");
+	assert.ok(s, "script was stripped");
+	assert.equal(s.textContent, "window.ran = true;");
+});
+
+check("a root allowScripts does not turn it on", () => {
+	const el = root.dom.create(MARKUP);
+	assert.equal(el.querySelector("script"), null);
+});
+
+if (failed) {
+	console.log(failed + " failed");
+	process.exit(1);
+}
+console.log("all passed");
@@ -0,0 +1,130 @@
+/* pollution.test.mjs
+ * Prototype pollution payloads against the system.base merge helpers
+ *
+ * Run: npm test (or node test/pollution.test.mjs; exit code 1 on any failure)
+ *
+ * ezWeb is browser-only; a mount needs nothing more from the page than
+ * document.getElementById + baseURI, so a tiny stand-in document is enough.
+ */
+
+import assert from "node:assert/strict";
+
+const appEl = { id: "app", nodeType: 1, tagName: "DIV", querySelectorAll: () => [], getAttribute: () => null, addEventListener() {}, removeEventListener() {} };
+globalThis.document = {
+	baseURI: new URL("../", import.meta.url).href,
+	readyState: "complete",
+	getElementById: id => (id === "app" ? appEl : null),
+	querySelectorAll: () => [],
+	addEventListener() {},
+	removeEventListener() {}
+};
+
+const ezWeb = (await import("../ezWeb.js")).default;
+
+/********************************************************************
+ * Payloads
+ * -JSON.parse keeps "__proto__" as an own key (an object literal would not)
+ ********************************************************************/
+const PAYLOADS = [
+	'{"__proto__": {"polluted": "proto"}}',
+	'{"constructor": {"prototype": {"polluted": "ctor"}}}',
+	'{"prototype": {"polluted": "prototype"}}',
+	'{"dom": {"__proto__": {"polluted": "nested"}}}',
+	'{"a": {"b": {"constructor": {"prototype": {"polluted": "deep ctor"}}}}}',
+	'{"safe": 1, "__proto__": {"polluted": "mixed"}}'
+];
+
+const HELPERS = ["mergeDeep", "mergeDefaultsDeep", "mergeApi"];
+
+/********************************************************************
+ * Tiny runner
+ ********************************************************************/
+let failed = 0;
+
+function check(name, fn) {
+	try {
+		fn();
+		console.log("ok   " + name);
+	} catch (e) {
+		failed++;
+		console.log("FAIL " + name + "\n     " + e.message);
+	}
+}
+
+function assertClean(label) {
+	assert.equal(({}).polluted, undefined, label + ": Object.prototype was polluted");
+	assert.equal(Object.prototype.polluted, undefined, label + ": Object.prototype was polluted");
+	assert.equal(Object.prototype.hasOwnProperty.call(Object.prototype, "polluted"), false, label);
+}
+
+/********************************************************************
+ * Mount (options from JSON carry a payload too)
+ ********************************************************************/
+let system;
+const options = JSON.parse('{"verbosity": "NONE", "__proto__": {"polluted": "options"}, "dom": {"__proto__": {"polluted": "module options"}}}');
+await ezWeb("app", "dom", {}, options, (s) => { system = s; });
+const base = system.base;
+
+check("root + module options from JSON", () => {
+	assertClean("options");
+	assert.equal(Object.getPrototypeOf(system.options), Object.prototype);
+	assert.equal(system.options.polluted, undefined);
+	assert.equal(system.options.dom.polluted, undefined);
+});
+
+/********************************************************************
+ * Every helper x every payload
+ ********************************************************************/
+HELPERS.forEach((helper) => {
+	PAYLOADS.forEach((json) => {
+		check(helper + " " + json, () => {
+			const target = {};
+			const out = base[helper](target, JSON.parse(json));
+			assert.equal(out, target, "returns the target");
+			assertClean(helper);
+			assert.equal(Object.getPrototypeOf(target), Object.prototype, "target prototype swapped");
+			assert.equal(target.polluted, undefined);
+			assert.equal(Object.prototype.hasOwnProperty.call(target, "constructor"), false);
+			assert.equal(Object.prototype.hasOwnProperty.call(target, "prototype"), false);
+		});
+	});
+});
+
+check("nested targets keep their prototype", () => {
+	const target = { dom: {}, a: { b: {} } };
+	base.mergeDeep(target, JSON.parse(PAYLOADS[3]));
+	base.mergeDeep(target, JSON.parse(PAYLOADS[4]));
+	assertClean("nested");
+	assert.equal(Object.getPrototypeOf(target.dom), Object.prototype);
+	assert.equal(target.dom.polluted, undefined);
+	assert.equal(target.a.b.constructor, Object, "constructor overwritten");
+});
+
+check("safe keys next to a payload still merge", () => {
+	const target = {};
+	base.mergeDeep(target, JSON.parse(PAYLOADS[5]));
+	assert.deepEqual(Object.keys(target), ["safe"]);
+	const defs = {};
+	base.mergeDefaultsDeep(defs, JSON.parse(PAYLOADS[5]));
+	assert.deepEqual(Object.keys(defs), ["safe"]);
+});
+
+check("refused keys are logged as WARN under ezWeb.base", () => {
+	const hits = system.log.history(0, null, "ezWeb.base").filter(e => /refused unsafe key/.test(e.msg));
+	assert.ok(hits.length > 0, "no WARN recorded");
+	assert.ok(hits.every(e => e.lvl === system.log.WARN));
+	HELPERS.forEach(h => assert.ok(hits.some(e => e.msg.indexOf(h + "()") === 0), "no WARN from " + h));
+});
+
+check("applyPatch refuses unsafe path segments", () => {
+	["/__proto__/polluted", "/constructor/prototype/polluted", "/a/prototype"].forEach((path) => {
+		assert.throws(() => base.applyPatch({ a: {} }, [{ op: "add", path: path, value: "patch" }]));
+	});
+	assertClean("applyPatch");
+});
+
+if (failed) {
+	console.log(failed + " failed");
+	process.exit(1);
+}
+console.log("all passed");